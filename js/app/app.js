@@ -2,42 +2,20 @@
  * Initialises the application
  * @module App
  */
-define(['solar_system', 'gl', 'camera', 'controls', 'lighting', 'glUtils'], function (SolarSystem, gl, camera, controls, lighting) {
+define(['solar_system', 'gl', 'camera', 'controls', 'lighting', 'clock', 'scale', 'nbody', 'loading_indicator', 'skybox', 'texture_lod', 'resource_registry', 'renderer', 'glUtils'], function (SolarSystem, gl, camera, controls, lighting, clock, scale, nbody, loadingIndicator, skybox, textureLod, resourceRegistry, renderer) {
 
-    var timeLastFrame = false;
+    var timeLastFrame = false,
+        frameRequest  = null;
 
     /**
-    * Initialises the application.
+    * Initialises the application. It starts straight away, without waiting for the textures: objects are drawn with a placeholder until theirs have downloaded (see AstronomicalObject.setupTexture()).
     *
     * @class App
     * @constructor
     */
     function init() {
-        waitUntilAssetsDownloadedThen(startTheApp);
-    }
-
-    /**
-     * Waits until each Astronomical Object has declared it is ready to be rendered, i.e. texture images have been downloaded.
-     * @method waitUntilAssetsDownloadedThen
-     * @param  {Function} callback The function to call once all assets are downloaded.
-     */
-    function waitUntilAssetsDownloadedThen(callback) {
-        var allAssetsDownloaded = true;
-        for (var i = 0; i < SolarSystem.length; i++) {
-            if (!SolarSystem[i].isReady) {
-                allAssetsDownloaded = false;
-                break;
-            }
-        }
-
-        if (allAssetsDownloaded) {
-            callback();
-        }
-        else {
-            setTimeout(function () {
-                waitUntilAssetsDownloadedThen(callback);
-            }, 25);
-        }
+        loadingIndicator.init(document.getElementById('canvas_solar_system__container'));
+        startTheApp();
     }
 
     /**
@@ -46,9 +24,14 @@ define(['solar_system', 'gl', 'camera', 'controls', 'lighting', 'glUtils'], func
      */
     function startTheApp() {
         document.body.className += ' webgl_solarsystem__loaded';
+        clock.onChange(moveObjectsTo);
+        scale.onChange(rescaleObjects);
+        moveObjectsTo(clock.getDaysSinceJ2000());
         controls.bindToAnimation(function () {
             draw();
         });
+        resourceRegistry.onLost(stop);
+        resourceRegistry.onRestored(run);
         run();
     }
 
@@ -57,28 +40,45 @@ define(['solar_system', 'gl', 'camera', 'controls', 'lighting', 'glUtils'], func
      * @method run
      */
     function run() {
-        requestAnimationFrame(run);
+        if (resourceRegistry.isLost()) {
+            // started while the context was lost - run() is called again once it is restored
+            return;
+        }
+        frameRequest = requestAnimationFrame(run);
         
         if (controls.paused()) {
             timeLastFrame = false;
         }
         else {
             draw();
-            animate(controls.millisecondsPerDay());
+            animate();
         }
     }
 
     /**
-     * Draws to the canvas.
+     * Stops the animation while the WebGL context is lost. The simulation clock stops with it, and carries on from the same moment once run() is called again, as it does after a pause.
+     * @method stop
+     */
+    function stop() {
+        cancelAnimationFrame(frameRequest);
+        timeLastFrame = false;
+    }
+
+    /**
+     * Draws to the canvas. The skybox is drawn first, behind everything, and then the objects are drawn by the Renderer - translucent ones (e.g. cloud layers) last, so that they blend with every opaque object behind them.
      * @method draw
      */
     function draw() {
+        if (resourceRegistry.isLost()) {
+            return;
+        }
+
+        textureLod.update(SolarSystem);
+        camera.fitNearPlane(SolarSystem);
         cleanCanvas();
         lighting.prepare();
-        for (var i = 0; i < SolarSystem.length; i++) {
-            var planet = SolarSystem[i];
-            planet.draw(camera.getProjectionViewMatrix());
-        }
+        skybox.draw();
+        renderer.draw(SolarSystem, camera.getProjectionViewMatrix());
     }
 
     /**
@@ -93,15 +93,40 @@ define(['solar_system', 'gl', 'camera', 'controls', 'lighting', 'glUtils'], func
     }
 
     /**
-     * Animates the objects in the Solar System.
+     * Animates the objects in the Solar System by moving the simulation clock on, at whatever rate it is set to. The objects themselves are moved by moveObjectsTo(), which listens to the clock.
      * @method animate
-     * @param  {float} millisecondsPerDay Determines the speed at which objects spin and orbit.
      */
-    function animate(millisecondsPerDay) {
-        var deltaT = millisecondsSinceLastFrame();
+    function animate() {
+        clock.tick(millisecondsSinceLastFrame());
+    }
+
+    /**
+     * Moves every object in the Solar System to where it should be at the given moment in time. Only the roots of the scene graph (objects which aren't orbiting anything) are animated directly - they pass their transforms down to whatever orbits them. If the N-body physics mode is on, the simulation is integrated up to the given time first.
+     * @method moveObjectsTo
+     * @param  {float} daysSinceJ2000 Number of days since the J2000 epoch.
+     */
+    function moveObjectsTo(daysSinceJ2000) {
+        if (nbody.isEnabled()) {
+            nbody.advanceTo(SolarSystem, daysSinceJ2000);
+        }
+
+        for (var i = 0; i < SolarSystem.length; i++) {
+            if (!SolarSystem[i].orbits) {
+                SolarSystem[i].animate(daysSinceJ2000);
+            }
+        }
+    }
+
+    /**
+     * Resizes every object in the Solar System after the scale mode has changed, then moves them to their new positions.
+     * @method rescaleObjects
+     */
+    function rescaleObjects() {
         for (var i = 0; i < SolarSystem.length; i++) {
-            SolarSystem[i].animate(millisecondsPerDay, deltaT);
+            SolarSystem[i].rescale();
         }
+        moveObjectsTo(clock.getDaysSinceJ2000());
+        draw();
     }
 
     /**
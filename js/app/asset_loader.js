@@ -0,0 +1,310 @@
+/**
+ * @module AssetLoader
+ */
+define(function () {
+
+    var defaultTimeout    = 15000,  // milliseconds to wait for an image before giving up on that attempt
+        defaultRetries    = 2,      // number of extra attempts after the first one fails
+        retryDelay        = 500,    // milliseconds to wait before the first retry. Doubles each time.
+        assets            = [],
+        listeners         = [];
+
+    /**
+     * Lets everything that shows the progress of the downloads know that something has changed.
+     * @method notifyListeners
+     */
+    function notifyListeners() {
+        for (var i = 0; i < listeners.length; i++) {
+            listeners[i](assets);
+        }
+    }
+
+    /**
+     * Makes a single attempt at downloading an image.
+     * @method attemptImage
+     * @param  {String}  url     URL of the image.
+     * @param  {int}     timeout Milliseconds to wait before giving up.
+     * @return {Promise}         Resolves with the Image, or rejects with an Error.
+     */
+    function attemptImage(url, timeout) {
+        return new Promise(function (resolve, reject) {
+            var image = new Image(),
+                timer = setTimeout(function () {
+                    image.onload = image.onerror = null;
+                    image.src = '';
+                    reject(new Error('Timed out after ' + (timeout / 1000) + ' seconds'));
+                }, timeout);
+
+            image.crossOrigin = 'anonymous';
+            image.onload = function () {
+                clearTimeout(timer);
+                resolve(image);
+            };
+            image.onerror = function () {
+                clearTimeout(timer);
+                reject(new Error('Could not be downloaded'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Makes a single attempt at downloading a file.
+     * @method attemptRequest
+     * @param  {String}  url          URL of the file.
+     * @param  {int}     timeout      Milliseconds to wait before giving up.
+     * @param  {String}  responseType 'arraybuffer' or 'text'.
+     * @return {Promise}              Resolves with the contents of the file, or rejects with an Error.
+     */
+    function attemptRequest(url, timeout, responseType) {
+        return new Promise(function (resolve, reject) {
+            var request = new XMLHttpRequest();
+
+            request.open('GET', url);
+            request.responseType = responseType;
+            request.timeout = timeout;
+            request.onload = function () {
+                if (request.status >= 200 && request.status < 300) {
+                    resolve(request.response);
+                }
+                else {
+                    reject(new Error('Could not be downloaded (' + request.status + ')'));
+                }
+            };
+            request.onerror = function () {
+                reject(new Error('Could not be downloaded'));
+            };
+            request.ontimeout = function () {
+                reject(new Error('Timed out after ' + (timeout / 1000) + ' seconds'));
+            };
+            request.send();
+        });
+    }
+
+    /**
+     * Makes a single attempt at downloading a binary file.
+     * @method attemptArrayBuffer
+     * @param  {String}  url     URL of the file.
+     * @param  {int}     timeout Milliseconds to wait before giving up.
+     * @return {Promise}         Resolves with an ArrayBuffer, or rejects with an Error.
+     */
+    function attemptArrayBuffer(url, timeout) {
+        return attemptRequest(url, timeout, 'arraybuffer');
+    }
+
+    /**
+     * Makes a single attempt at downloading a text file.
+     * @method attemptText
+     * @param  {String}  url     URL of the file.
+     * @param  {int}     timeout Milliseconds to wait before giving up.
+     * @return {Promise}         Resolves with the text, or rejects with an Error.
+     */
+    function attemptText(url, timeout) {
+        return attemptRequest(url, timeout, 'text');
+    }
+
+    /**
+     * Downloads an asset, retrying (with an increasing delay) if it fails.
+     * @method attemptWithRetries
+     * @param  {Object}   asset   The record of the asset, which is kept up to date with the number of attempts.
+     * @param  {Function} attempt Makes a single attempt at the download - attemptImage(), attemptArrayBuffer() or attemptText().
+     * @param  {int}      timeout Milliseconds to wait for each attempt.
+     * @param  {int}      retries Number of extra attempts to make.
+     * @param  {int}      delay   Milliseconds to wait before the next retry.
+     * @return {Promise}          Resolves with the downloaded asset, or rejects with the Error from the last attempt.
+     */
+    function attemptWithRetries(asset, attempt, timeout, retries, delay) {
+        asset.attempts++;
+        notifyListeners();
+
+        return attempt(asset.url, timeout).catch(function (error) {
+            if (retries <= 0) {
+                throw error;
+            }
+            return new Promise(function (resolve) {
+                setTimeout(resolve, delay);
+            }).then(function () {
+                return attemptWithRetries(asset, attempt, timeout, retries - 1, delay * 2);
+            });
+        });
+    }
+
+    /**
+     * Creates a plain grey image, used as a last resort when neither an image nor its fallback could be downloaded, so that the object can still be drawn.
+     * @method createPlaceholder
+     * @return {DOMElement} A canvas element.
+     */
+    function createPlaceholder() {
+        var canvas  = document.createElement('CANVAS'),
+            context = canvas.getContext('2d');
+
+        canvas.width  = 2;
+        canvas.height = 2;
+        context.fillStyle = '#808080';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        return canvas;
+    }
+
+    /**
+     * Starts tracking a download.
+     * @method track
+     * @param  {String}   url      URL of the asset.
+     * @param  {Function} attempt  Makes a single attempt at the download - attemptImage(), attemptArrayBuffer() or attemptText().
+     * @param  {Object}   options  Timeout and retries - see loadImage().
+     * @return {Object}            The record of the asset. Its promise resolves with the downloaded asset, or rejects once every attempt has failed.
+     */
+    function track(url, attempt, options) {
+        var timeout = options.timeout || defaultTimeout,
+            retries = options.retries !== undefined ? options.retries : defaultRetries,
+            asset   = {
+                url:      url,
+                status:   'loading',
+                attempts: 0,
+                error:    null
+            };
+
+        assets.push(asset);
+        asset.promise = attemptWithRetries(asset, attempt, timeout, retries, retryDelay);
+
+        return asset;
+    }
+
+    /**
+     * Downloads a file which has no fallback.
+     * @method loadFile
+     * @param  {String}   url     URL of the file.
+     * @param  {Function} attempt Makes a single attempt at the download - attemptArrayBuffer() or attemptText().
+     * @param  {Object}   options Timeout and retries - see AssetLoader.loadArrayBuffer().
+     * @return {Promise}          Resolves with the contents of the file, or rejects with an Error.
+     */
+    function loadFile(url, attempt, options) {
+        var asset = track(url, attempt, options || {});
+
+        asset.promise = asset.promise.then(function (contents) {
+            asset.status = 'loaded';
+            notifyListeners();
+            return contents;
+        }, function (error) {
+            asset.error = error;
+            asset.status = 'failed';
+            notifyListeners();
+            throw error;
+        });
+
+        return asset.promise;
+    }
+
+    /**
+     * Downloads images (and the binary files holding compressed textures, and the GLSL of custom materials), with timeouts, retries and fallbacks, and keeps track of the progress of every download so that it can be shown to users.
+     *
+     * Each asset has a status: 'loading', 'loaded', 'fallback' (the image failed, so its fallback is being used instead) or 'failed'.
+     *
+     * @class AssetLoader
+     */
+    return {
+
+        /**
+         * Downloads an image.
+         * @method loadImage
+         * @param  {String}  url                  URL of the image.
+         * @param  {Object}  options              Optional settings.
+         * @param  {String}  options.fallback     URL of an image to use instead if this one can't be downloaded. If that fails too, a plain grey placeholder is used.
+         * @param  {int}     options.timeout      Milliseconds to wait for each attempt. Defaults to 15 seconds.
+         * @param  {int}     options.retries      Number of times to retry after the first attempt fails. Defaults to 2.
+         * @return {Promise}                      Resolves with the Image (or the fallback). Only rejects if there is no fallback.
+         */
+        loadImage: function (url, options) {
+            options = options || {};
+
+            var asset = track(url, attemptImage, options);
+
+            asset.promise = asset.promise.then(function (image) {
+                asset.status = 'loaded';
+                notifyListeners();
+                return image;
+            }, function (error) {
+                asset.error = error;
+
+                if (!options.fallback) {
+                    asset.status = 'failed';
+                    notifyListeners();
+                    throw error;
+                }
+
+                asset.status = 'fallback';
+                notifyListeners();
+                return attemptImage(options.fallback, options.timeout || defaultTimeout).catch(createPlaceholder);
+            });
+
+            return asset.promise;
+        },
+
+        /**
+         * Downloads a binary file, e.g. a compressed texture. There is no fallback - it's up to the caller to decide what to use instead if the download fails.
+         * @method loadArrayBuffer
+         * @param  {String}  url             URL of the file.
+         * @param  {Object}  options         Optional settings.
+         * @param  {int}     options.timeout Milliseconds to wait for each attempt. Defaults to 15 seconds.
+         * @param  {int}     options.retries Number of times to retry after the first attempt fails. Defaults to 2.
+         * @return {Promise}                 Resolves with an ArrayBuffer, or rejects with an Error.
+         */
+        loadArrayBuffer: function (url, options) {
+            return loadFile(url, attemptArrayBuffer, options);
+        },
+
+        /**
+         * Downloads a text file, e.g. the GLSL of a custom Material. There is no fallback - it's up to the caller to decide what to use instead if the download fails.
+         * @method loadText
+         * @param  {String}  url     URL of the file.
+         * @param  {Object}  options Optional settings - see loadArrayBuffer().
+         * @return {Promise}         Resolves with the text, or rejects with an Error.
+         */
+        loadText: function (url, options) {
+            return loadFile(url, attemptText, options);
+        },
+
+        /**
+         * Marks a downloaded asset as failed, e.g. a compressed texture in a format the device can't use, so that it is shown along with the downloads which failed.
+         * @method reportFailure
+         * @param {String} url   URL of the asset.
+         * @param {Error}  error What went wrong.
+         */
+        reportFailure: function (url, error) {
+            assets.forEach(function (asset) {
+                if (asset.url === url) {
+                    asset.status = 'failed';
+                    asset.error  = error;
+                }
+            });
+            notifyListeners();
+        },
+
+        /**
+         * @method whenAllLoaded
+         * @return {Promise} Resolves once every download requested so far has either finished or failed.
+         */
+        whenAllLoaded: function () {
+            return Promise.all(assets.map(function (asset) {
+                return asset.promise.catch(function () {});
+            }));
+        },
+
+        /**
+         * @method getAssets
+         * @return {Array} Every asset requested so far, each with its url, status, number of attempts and error (if it failed).
+         */
+        getAssets: function () {
+            return assets;
+        },
+
+        /**
+         * Registers a function to be called whenever the progress of any download changes.
+         * @method onProgress
+         * @param  {Function} callback Called with the array of assets.
+         */
+        onProgress: function (callback) {
+            listeners.push(callback);
+        }
+    };
+});
\ No newline at end of file
@@ -1,36 +1,103 @@
 /**
  * @module AstronomicalObject
  */
-define(['gl', 'glMatrix', 'shaders', 'buffers'], function (gl, glMatrix, shaderProgram, buffers) {
+define(['gl', 'glMatrix', 'shader_library', 'material', 'buffers', 'kepler', 'ephemeris', 'clock', 'random', 'scale', 'resource_registry', 'texture_cache', 'procedural_texture'], function (gl, glMatrix, shaderLibrary, Material, buffers, kepler, ephemeris, clock, random, scale, resourceRegistry, textureCache, proceduralTexture) {
+
+    var placeholderTexture = null;
+
+    resourceRegistry.register({
+        /**
+         * The placeholder was lost along with the context, so it is created again when it is next needed.
+         * @method restore
+         */
+        restore: function () {
+            placeholderTexture = null;
+        }
+    });
+
+    /**
+     * Returns a plain grey texture, which is drawn in place of textures which are still downloading. It is shared by every object, and only created when it is first needed.
+     * @method getPlaceholderTexture
+     * @return {Object} A WebGL TEXTURE_2D object.
+     */
+    function getPlaceholderTexture() {
+        if (!placeholderTexture) {
+            placeholderTexture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, placeholderTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([128, 128, 128, 255]));
+            // no mipmaps, so the default minification filter would leave the texture incomplete
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+        }
+        return placeholderTexture;
+    }
 
     /**
-     * AstronomicalObject is a class that represents Planets, Moons, the Sun, Galaxy, and Saturn's Rings.
+     * AstronomicalObject is a class that represents Planets, Moons, the Sun, the Skybox, and Saturn's Rings.
+     *
+     * Objects form a scene graph: each object is a child of the object it orbits, and its transform is calculated from the simulation time and its parent's transform alone. Nothing is accumulated from frame to frame, so any moment in time can be reproduced exactly, and moons can have moons of their own.
      * 
      * @class AstronomicalObject
      * @constructor
      * @param {Object}  config                  The config object.
      * @param {String}  config.name             Name of the Astronomical Body. Useful for debugging, but also used in generating the instructions for the keyboard shortcuts.
      * @param {Array}   config.origin           X, Y, Z co-ordinates of the origin of the body in space.
-     * @param {int}     config.orbitDistance    (in miles) from whatever it is orbiting. This is then automatically reduced for presen tation purposes.
+     * @param {int}     config.orbitDistance    (in miles) from whatever it is orbiting. This is then converted into scene units by the current Scale mode.
      * @param {float}   config.orbitalPeriod    Number of days to make a full orbit.
+     * @param {float}   config.eccentricity     Eccentricity of the orbit. Defaults to 0 (a circular orbit).
+     * @param {float}   config.inclination      Inclination of the orbit (in degrees) relative to the plane of the ecliptic.
+     * @param {float}   config.longitudeOfAscendingNode Longitude of the ascending node (in degrees).
+     * @param {float}   config.argumentOfPeriapsis      Argument of periapsis (in degrees).
+     * @param {float}   config.meanAnomalyAtEpoch       Mean anomaly (in degrees) at the J2000 epoch.
+     * @param {float}   config.startingAngle    Mean anomaly (in degrees) at the date the simulation starts at. Only used if meanAnomalyAtEpoch isn't set. If neither is set, a random angle is generated from the (seedable) Random module.
+     * @param {String}  config.ephemeris        Name of the body in the Ephemeris module, e.g. 'mars'. If set, the orbit is calculated from published orbital elements for the simulated date, and the orbital config values above are ignored.
      * @param {float}   config.spinPeriod       Number of days to rotate fully on its axis.
-     * @param {int}     config.radius           (in miles). This is then automatically increased for presentation purposes.
+     * @param {int}     config.radius           (in miles). This is then converted into scene units by the current Scale mode.
+     * @param {float}   config.mass             (in kg). Only used by the NBody physics mode - objects without a mass are carried along on their kinematic orbits.
      * @param {float}   config.axis             Rotational axis (in degrees).
-     * @param {String}  config.texture          Url pointing to the texture image to be mapped to the object.
+     * @param {String}  config.texture          Url pointing to the texture image to be mapped to the object. This (and any of the maps below) can also be a KTX2 or DDS compressed texture, or a set of alternatives in different compressed formats - see CompressedTexture.
+     * @param {String}  config.color            CSS colour (e.g. '#a08a73') used to generate a banded texture for the object, if it has no texture image.
+     * @param {Object}  config.procedural       Settings for a generated texture (see ProceduralTexture), used if the object has no texture image, e.g. `{ type: 'gasGiant', seed: 4, palette: ['#8c6a4f', '#f2e6cf'] }`.
+     * @param {Array}   config.textureTiers     Higher resolution versions of the texture, which are streamed in as the object grows on screen - see TextureLod. Each has a `texture` URL and the `minSize` (diameter on screen, in pixels) it should be used from, smallest first.
      * @param {String}  config.specularTexture  Url pointing to the specular map to be mapped to the object.
+     * @param {String}  config.normalTexture    Url pointing to a tangent-space normal map, which adds surface relief to the lighting.
+     * @param {String}  config.bumpTexture      Url pointing to a bump (height) map - brighter is higher. The diffuse texture often works as a bump map too, and is then only downloaded once.
+     * @param {float}   config.bumpScale        Strength of the bump map. Defaults to 4.
+     * @param {String}  config.nightTexture     Url pointing to an emission map (e.g. city lights), which is shown on the side of the object facing away from the Sun.
+     * @param {Object}  config.clouds           A cloud layer - a slightly larger, partly transparent sphere which turns independently of the object. Optional.
+     * @param {String}  config.clouds.texture   Url pointing to the cloud texture. Its alpha channel determines where the clouds are, so it should be a PNG.
+     * @param {String}  config.clouds.color     CSS colour used to generate a banded texture instead, for planets covered in cloud (e.g. Venus).
+     * @param {float}   config.clouds.opacity   Defaults to 0.8.
+     * @param {float}   config.clouds.altitude  Height of the clouds above the surface, as a fraction of the object's radius. Defaults to 0.02.
+     * @param {float}   config.clouds.spinPeriod Number of days for the clouds to rotate fully. Defaults to the spin period of the object.
+     * @param {Object}  config.atmosphere       A glow around the limb of the object, drawn with an atmosphere Material on a slightly larger sphere. Optional.
+     * @param {String}  config.atmosphere.color     CSS colour of the glow. Defaults to a pale blue.
+     * @param {float}   config.atmosphere.intensity Factor to brighten (or dim) the glow by. Defaults to 1.
+     * @param {float}   config.atmosphere.falloff   The higher it is, the more tightly the glow hugs the limb. Defaults to 3.
+     * @param {float}   config.atmosphere.altitude  Height of the top of the atmosphere above the surface, as a fraction of the object's radius. Defaults to 0.03.
+     * @param {float}   config.opacity          Defaults to 1. Spherical objects which are less than fully opaque are blended with whatever is behind them.
+     * @param {float}   config.altitude         Only used by layers (cloud layers and atmospheres): height above the surface of the object being orbited, as a fraction of its radius. The layer is sized relative to that object, whatever the Scale mode, rather than from its own radius.
+     * @param {Object}  config.sampler          Sampler settings for every texture of the object - wrapS, wrapT, minFilter, magFilter (WebGL constant names, e.g. 'CLAMP_TO_EDGE'), anisotropy and npot. See TextureCache.acquire().
+     * @param {Object}  config.samplers         Sampler settings for individual textures, overriding config.sampler, keyed by the texture's config name (e.g. 'normalTexture').
      * @param {String}  config.shortcutKey      The key that when pressed should make the camera snap to the object.
      * @param {boolean} config.spins            Determines whether or not the object should spin on its axis.
      * @param {boolean} config.spinsClockwise   Defaults to false. Determines spin direction.
-     * @param {boolean} config.useLighting      Determines whether or not the object should be affected by Phong shading.
+     * @param {Object}  config.material         Settings of the Material the object is drawn with, e.g. `{ type: 'unlit' }` - see Material. Defaults to a phong material, unless useLighting is false.
+     * @param {boolean} config.useLighting      Only used if there is no material: false draws the object with an unlit material (or, if it isn't spherical, a ring material) rather than a phong one.
      * @param {boolean} config.spherical        Determines which buffers to initialise and draw the object with (cuboidal or spherical).
+     * @param {boolean} config.star             Defaults to false. Stars are enlarged less than planets by the aesthetic scale modes, so that they don't swallow their inner planets.
      */
     var AstronomicalObject = function (config) {
         this.setAttributes(config);
         this.setOrigin(config.origin);
-        this.setRandomStartingOrbit();
+        this.setRandomStartingOrbit(config.meanAnomalyAtEpoch, config.startingAngle);
+        this.attachToParent();
         this.initMatrix();
+        this.initClouds(config);
+        this.initAtmosphere(config);
         this.initTextures();
         buffers.initBuffers(this);
+        resourceRegistry.register(this);
     };
 
     AstronomicalObject.prototype = {
@@ -43,16 +110,33 @@ define(['gl', 'glMatrix', 'shaders', 'buffers'], function (gl, glMatrix, shaderP
         setAttributes: function (config) {
             this.name                 = config.name            || 'name not set';
             this.orbits               = config.orbits          || false;
-            this.orbitDistance        = config.orbitDistance   || 0;
-            this.orbitalPeriod        = config.orbitalPeriod   || 1;
+            this.ephemeris            = config.ephemeris       || false;
+            var orbit                 = this.ephemeris ? ephemeris.elementsAt(this.ephemeris, 0) : config;
+            this.orbitDistanceInMiles = orbit.orbitDistance    || 0;
+            this.orbitalPeriod        = orbit.orbitalPeriod    || 1;
+            this.setOrbitalElements(orbit);
             this.spinPeriod           = config.spinPeriod      || 1;
-            this.radius               = config.radius          || 10;
-            this.textureImage         = config.texture         || 'textures/moon.gif';
+            this.radiusInMiles        = config.radius          || 10;
+            this.mass                 = config.mass            || 0;
+            this.color                = config.color           || false;
+            this.procedural           = config.procedural      || false;
+            this.textureImage         = config.texture         || (this.color || this.procedural ? false : 'textures/moon.gif');
+            this.textureTiers         = config.textureTiers    || [];
+            this.sampler              = config.sampler         || null;
+            this.samplers             = config.samplers        || {};
             this.specularTextureImage = config.specularTexture || false;
+            this.normalTextureImage   = config.normalTexture   || false;
+            this.bumpTextureImage     = config.bumpTexture     || false;
+            this.bumpScale            = config.bumpScale       || 4;
+            this.nightTextureImage    = config.nightTexture    || false;
+            this.opacity              = config.opacity !== undefined ? config.opacity : 1;
+            this.altitude             = config.altitude        || false;
             this.spherical            = this.getBoolean(config.spherical);
             this.useLighting          = this.getBoolean(config.useLighting);
+            this.material             = new Material(config.material || { type: this.useLighting ? 'phong' : (this.spherical ? 'unlit' : 'ring') });
             this.spins                = this.getBoolean(config.spins);
             this.spinsClockwise       = this.getBoolean(config.spinsClockwise, false);
+            this.star                 = this.getBoolean(config.star, false);
             this.shortcutKey          = config.shortcutKey;
             this.setAxis(config.axis);
             this.normalise();
@@ -60,125 +144,442 @@ define(['gl', 'glMatrix', 'shaders', 'buffers'], function (gl, glMatrix, shaderP
         },
 
         /**
-         * Sets the origin of the object, using the passed value if there is one, or calculating based on the orbited object if there isn't.
+         * Sets the shape and orientation of the object's orbit.
+         * @method setOrbitalElements
+         * @param {Object} elements Object containing the eccentricity, inclination, longitudeOfAscendingNode and argumentOfPeriapsis (angles in degrees). Missing values default to 0.
+         */
+        setOrbitalElements: function (elements) {
+            this.eccentricity             = elements.eccentricity || 0;
+            this.inclination              = this.degreesToRadians(elements.inclination || 0);
+            this.longitudeOfAscendingNode = this.degreesToRadians(elements.longitudeOfAscendingNode || 0);
+            this.argumentOfPeriapsis      = this.degreesToRadians(elements.argumentOfPeriapsis || 0);
+        },
+
+        /**
+         * Sets the origin of the object, using the passed value if there is one. This only applies to objects which aren't orbiting anything - the position of everything else is determined by its orbit.
          * @method setOrigin
          * @param {Array} origin Three-value array representing the origin, or null.
          */
         setOrigin: function (origin) {
-            if (origin) {
-                this.origin = origin;
+            this.origin = origin || [0, 0, 0];
+            this.position = this.origin.slice();
+        },
+
+        /**
+         * Called on initialisation - this sets the mean anomaly the object starts its orbit at. Unless one is specified, this is randomised to prevent all objects starting off in a long straight line.
+         * @method setRandomStartingOrbit
+         * @param {float} meanAnomalyAtEpoch Mean anomaly (in degrees) at the J2000 epoch, or undefined.
+         * @param {float} startingAngle      Mean anomaly (in degrees) at the date the simulation starts at, or undefined.
+         */
+        setRandomStartingOrbit: function (meanAnomalyAtEpoch, startingAngle) {
+            this.daysSinceJ2000 = clock.getDaysSinceJ2000();
+            this.meanAnomalyAtEpoch = 0;
+
+            if (meanAnomalyAtEpoch !== undefined) {
+                this.meanAnomalyAtEpoch = this.degreesToRadians(meanAnomalyAtEpoch);
             }
-            else if (this.orbits) {
-                this.origin = [];
-                this.origin[0] = this.orbits.origin[0];
-                this.origin[1] = this.orbits.origin[1];
-                this.origin[2] = this.orbits.origin[2] - this.distanceFromBodyWeAreOrbiting;
+            else if (this.orbits && !this.ephemeris && this.name !== 'Saturn\'s Rings') {
+                var angleAtStart = startingAngle !== undefined ? this.degreesToRadians(startingAngle) : (Math.PI * 2) * random.random();
+
+                // wind the angle back to the epoch, so that the object is at the starting angle on the date the simulation starts at
+                this.meanAnomalyAtEpoch = angleAtStart - this.calculatePortionOf(this.orbitalPeriod, this.daysSinceJ2000);
             }
-            else {
-                this.origin = [0, 0, 0];
+        },
+
+        /**
+         * Adds the object to the scene graph, as a child of the object it orbits.
+         * @method attachToParent
+         */
+        attachToParent: function () {
+            this.children = [];
+            if (this.orbits) {
+                this.orbits.children.push(this);
             }
         },
 
         /**
-         * Called on initialisation - this moves the object to a position in its orbit, randomised to prevent all objects starting off in a long straight line.
-         * @method setRandomStartingOrbit
+         * Returns the Keplerian elements describing the object's orbit around the body it is orbiting.
+         * @method getOrbitalElements
+         * @return {Object} Orbital elements, as expected by Kepler.positionAt(). The semi-major axis is in miles.
          */
-        setRandomStartingOrbit: function () {
-            this.lastSpinAngle = 0;
-            this.lastOrbitAngle = 0;
-            this.cumulativeOrbitAngle = 0;
-
-            if (this.name === 'Saturn\'s Rings') {
-                // angle rings towards the Sun
-                var saturnsRingsAngle = this.degreesToRadians(90);
-                this.lastOrbitAngle = saturnsRingsAngle;
-                this.cumulativeOrbitAngle = saturnsRingsAngle;
-            }
-            else if (this.orbits) {
-                var randomStartingOrbit = (Math.PI * 2) / Math.random();
-                if (this.spinsClockwise) {
-                    randomStartingOrbit *= -1;
-                }
-                this.lastOrbitAngle = randomStartingOrbit;
-                this.cumulativeOrbitAngle = randomStartingOrbit;
+        getOrbitalElements: function () {
+            return {
+                semiMajorAxis:            this.orbitDistanceInMiles,
+                eccentricity:             this.eccentricity,
+                inclination:              this.inclination,
+                longitudeOfAscendingNode: this.longitudeOfAscendingNode,
+                argumentOfPeriapsis:      this.argumentOfPeriapsis
+            };
+        },
+
+        /**
+         * Solves Kepler's equation for the given point in time.
+         * @method calculateOrbitalPosition
+         * @param  {float} daysSinceJ2000 Number of days since the J2000 epoch.
+         * @return {Array}                X, Y, Z offset (in miles) from the body we're orbiting.
+         */
+        calculateOrbitalPosition: function (daysSinceJ2000) {
+            var meanAnomaly = this.meanAnomalyAtEpoch + this.calculatePortionOf(this.orbitalPeriod, daysSinceJ2000);
+
+            if (this.ephemeris) {
+                var published = ephemeris.elementsAt(this.ephemeris, daysSinceJ2000);
+                this.setOrbitalElements(published);
+                meanAnomaly = this.degreesToRadians(published.meanAnomaly);
+            }
+
+            return kepler.positionAt(this.getOrbitalElements(), meanAnomaly);
+        },
+
+        /**
+         * Calculates the offset from the body we're orbiting at the given point in time. If both bodies are being simulated by the NBody physics mode, this comes from their simulated positions rather than from the kinematic orbit.
+         * @method calculateOrbitalOffset
+         * @param  {float} daysSinceJ2000 Number of days since the J2000 epoch.
+         * @return {Array}                X, Y, Z offset (in scene units) from the body we're orbiting.
+         */
+        calculateOrbitalOffset: function (daysSinceJ2000) {
+            if (this.physicsState && this.orbits.physicsState) {
+                return this.scaleOffset(glMatrix.vec3.subtract([], this.physicsState.position, this.orbits.physicsState.position));
+            }
+
+            return this.scaleOffset(this.calculateOrbitalPosition(daysSinceJ2000));
+        },
+
+        /**
+         * Converts an offset (in miles) from the body we're orbiting (or, for objects which aren't orbiting anything, from the centre of the scene) into scene units, according to the current Scale mode. Only the length of the offset is scaled, so that non-linear scales keep the direction of the body intact.
+         * @method scaleOffset
+         * @param  {Array} offset X, Y, Z offset (in miles).
+         * @return {Array}        X, Y, Z offset (in scene units).
+         */
+        scaleOffset: function (offset) {
+            var miles = glMatrix.vec3.length(offset),
+                sceneUnits;
+
+            if (!miles) {
+                return [0, 0, 0];
+            }
+
+            sceneUnits = scale.distance(miles);
+            if (scale.padsOrbits() && this.orbits) {
+                sceneUnits += this.radius + this.orbits.radius;
             }
+
+            return glMatrix.vec3.scale(offset, offset, sceneUnits / miles);
         },
 
         /**
-         * Initialises the model view matrix.
+         * Initialises the matrices, and moves the object to its starting position.
          * @method initMatrix
          */
         initMatrix: function () {
+            this.frameMatrix = glMatrix.mat4.create();
             this.modelViewMatrix = glMatrix.mat4.create();
+            this.animate(this.daysSinceJ2000, this.orbits ? this.orbits.frameMatrix : null);
+        },
+
+        /**
+         * Creates the object's cloud layer, if it has one. The layer is an AstronomicalObject of its own, orbiting this one at a distance of zero, so that it follows the object through the scene graph while spinning at its own rate. It isn't part of the Solar System array - the object looks after it, and it is drawn after every opaque object so that it blends with them.
+         * @method initClouds
+         * @param {Object} config The object's config.
+         */
+        initClouds: function (config) {
+            var clouds = config.clouds;
+
+            this.clouds = null;
+            if (!clouds) {
+                return;
+            }
+
+            this.clouds = new AstronomicalObject({
+                name:               this.name + '\'s clouds',
+                orbits:             this,
+                meanAnomalyAtEpoch: 0,
+                radius:             this.radiusInMiles,
+                altitude:           clouds.altitude || 0.02,
+                spinPeriod:         clouds.spinPeriod || this.spinPeriod,
+                spinsClockwise:     this.spinsClockwise,
+                axis:               config.axis,
+                texture:            clouds.texture,
+                color:              clouds.color || (clouds.texture ? false : '#ffffff'),
+                opacity:            clouds.opacity !== undefined ? clouds.opacity : 0.8,
+                useLighting:        this.useLighting
+            });
+        },
 
-            if (this.orbits.orbits) {
-                glMatrix.mat4.rotate(this.modelViewMatrix, this.modelViewMatrix, this.orbits.lastOrbitAngle, [0, 1, 0]);
-                glMatrix.mat4.translate(this.modelViewMatrix, this.modelViewMatrix, this.orbits.origin);
+        /**
+         * Creates the object's atmosphere, if it has one. Like a cloud layer (see initClouds()), it is an AstronomicalObject of its own, orbiting this one at a distance of zero.
+         * @method initAtmosphere
+         * @param {Object} config The object's config.
+         */
+        initAtmosphere: function (config) {
+            var atmosphere = config.atmosphere;
+
+            this.atmosphere = null;
+            if (!atmosphere) {
+                return;
             }
 
-            glMatrix.mat4.rotate(this.modelViewMatrix, this.modelViewMatrix, this.lastOrbitAngle, [0, 1, 0]);
-            glMatrix.mat4.translate(this.modelViewMatrix, this.modelViewMatrix, [0, 0, -this.distanceFromBodyWeAreOrbiting]);
+            this.atmosphere = new AstronomicalObject({
+                name:               this.name + '\'s atmosphere',
+                orbits:             this,
+                meanAnomalyAtEpoch: 0,
+                radius:             this.radiusInMiles,
+                altitude:           atmosphere.altitude || 0.03,
+                spins:              false,
+                material: {
+                    type:      'atmosphere',
+                    color:     atmosphere.color,
+                    intensity: atmosphere.intensity,
+                    falloff:   atmosphere.falloff
+                }
+            });
+        },
+
+        /**
+         * @method getLayers
+         * @return {Array} The object's cloud layer and atmosphere, if it has them. They're drawn along with the object, and looked after by it.
+         */
+        getLayers: function () {
+            return [this.clouds, this.atmosphere].filter(function (layer) {
+                return layer;
+            });
         },
 
         /**
-         * Initialises the textures for the object.
+         * Initialises the textures for the object. The object only becomes ready once every one of its textures has either loaded or definitely failed - any new maps need adding to the list of downloads here.
          * @method initTextures
          */
         initTextures: function () {
-            if (this.textureImage) {
-                this.initTexture(this.textureImage, 'texture');
+            var downloads = [],
+                self      = this;
+
+            this.sharedTextures = [];
+            this.ownsTexture    = false;
+
+            // some materials (e.g. atmospheres) don't sample the texture, so it isn't downloaded or generated for them
+            if (this.material.isTextured()) {
+                if (this.textureImage) {
+                    downloads.push(this.initTexture(this.textureImage, 'texture', 'textures/moon.gif'));
+                }
+                else if (this.generatedImage) {
+                    // the texture has been generated before, and is being restored
+                    this.initGeneratedTexture(this.generatedImage);
+                }
+                else if (this.procedural) {
+                    this.initProceduralTexture(this.procedural);
+                }
+                else if (this.color) {
+                    this.initColorTexture(this.color);
+                }
             }
             if (this.specularTextureImage) {
-                this.initTexture(this.specularTextureImage, 'specularTexture');
+                downloads.push(this.initTexture(this.specularTextureImage, 'specularTexture'));
+            }
+            if (this.normalTextureImage) {
+                downloads.push(this.initTexture(this.normalTextureImage, 'normalTexture'));
             }
+            if (this.bumpTextureImage) {
+                downloads.push(this.initTexture(this.bumpTextureImage, 'bumpTexture'));
+            }
+            if (this.nightTextureImage) {
+                downloads.push(this.initTexture(this.nightTextureImage, 'nightTexture'));
+            }
+            this.getLayers().forEach(function (layer) {
+                downloads.push(layer.whenReady);
+            });
+            downloads.push(this.material.whenReady);
+
+            this.whenReady = Promise.all(downloads).then(function () {
+                self.isReady = true;
+            });
         },
 
         /**
-         * Initialises a texture for the object.
+         * Initialises a texture for the object. Textures are shared with any other objects using the same image, through the TextureCache, and the image is downloaded by the AssetLoader, which retries failed downloads before falling back to another image.
          * @method initTexture
-         * @param {String} imageSrc         URL pointing to the texture image.
+         * @param {String|Object} imageSrc  URL pointing to the texture image, or a set of alternatives (see CompressedTexture).
          * @param {String} imageProperty    The property to set texture to on this object.
+         * @param {String} fallbackSrc      URL of an image to use if the texture image can't be downloaded. Optional - without it, the texture is left out.
+         * @return {Promise}                Resolves once the texture has been initialised, or has been left out because it failed.
          */
-        initTexture: function (imageSrc, imageProperty) {
-            var texture = gl.createTexture();
-            texture.image = new Image();
-            texture.image.crossOrigin = 'anonymous';
+        initTexture: function (imageSrc, imageProperty, fallbackSrc) {
+            var options = { fallback: fallbackSrc, sampler: this.getSampler(imageProperty) },
+                shared  = { url: imageSrc, options: options },
+                self    = this;
+
+            this.sharedTextures.push(shared);
+
+            return textureCache.acquire(imageSrc, options).then(function (texture) {
+                self[imageProperty] = texture;
+            }, function () {
+                // the LoadingIndicator shows what failed. The cache has already forgotten the failed texture, so there is no reference to release - and releasing one anyway would take it from whichever object loads the image next
+                var index = self.sharedTextures.indexOf(shared);
+                if (index !== -1) {
+                    self.sharedTextures.splice(index, 1);
+                }
+            });
+        },
 
-            var self = this;
+        /**
+         * @method getSampler
+         * @param  {String} map Config name of the texture, e.g. 'texture' or 'normalTexture'.
+         * @return {Object}     Sampler settings for the texture (see TextureCache.acquire()), or null for the defaults.
+         */
+        getSampler: function (map) {
+            return this.samplers[map] || this.sampler;
+        },
 
-            texture.image.onload = function () {
-                self.handleLoadedTexture(texture, imageProperty);
-            };
+        /**
+         * Generates a texture for objects which don't have a texture image, by drawing bands of slightly varying brightness in the given colour. The variation comes from the (seedable) Random module, so shared links look the same.
+         * @method initColorTexture
+         * @param {String} color CSS colour of the object.
+         */
+        initColorTexture: function (color) {
+            var canvas  = document.createElement('CANVAS'),
+                context = canvas.getContext('2d'),
+                shade   = 0;
+
+            // powers of two, so that mipmaps can be generated
+            canvas.width  = 64;
+            canvas.height = 32;
+
+            context.fillStyle = color;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+
+            for (var y = 0; y < canvas.height; y++) {
+                // a random walk, so that neighbouring bands are similar
+                shade = Math.max(-0.25, Math.min(0.25, shade + (random.random() - 0.5) * 0.15));
+                context.fillStyle = shade < 0 ? 'rgba(0, 0, 0, ' + -shade + ')' : 'rgba(255, 255, 255, ' + shade + ')';
+                context.fillRect(0, y, canvas.width, 1);
+            }
 
-            texture.image.src = imageSrc;
+            this.initGeneratedTexture(canvas);
         },
 
         /**
-         * Handle the image texture once it has downloaded.
-         * @method handleLoadedTexture
-         * @param {Object} texture A WebGL TEXTURE_2D object.
-         * @param {String} imageProperty The property to set texture to on this object.
+         * Uploads a texture generated for the object. Every generated texture is different, so it belongs to this object rather than being shared. The image is kept, so that exactly the same texture can be uploaded again if the context is lost.
+         * @method initGeneratedTexture
+         * @param {Object} image The canvas holding the texture.
          */
-        handleLoadedTexture: function (texture, imageProperty) {
-            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
-            gl.bindTexture(gl.TEXTURE_2D, texture);
-            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, texture.image);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_NEAREST);
-            gl.generateMipmap(gl.TEXTURE_2D);
-            gl.bindTexture(gl.TEXTURE_2D, null);
-            this[imageProperty] = texture;
-            this.isReady = true;
+        initGeneratedTexture: function (image) {
+            this.generatedImage = image;
+            this.texture        = textureCache.createTexture(image, this.getSampler('texture'));
+            this.ownsTexture    = true;
         },
 
         /**
-         * False until all assets for the Astronomical Object have been downloaded (i.e. the texture maps).
+         * Switches to a different resolution of the texture (see TextureLod). The texture on display stays in use until the new one has loaded, and a tier which is superseded before it loads is released straight away.
+         * @method setTextureTier
+         * @param {int} tier Index of the tier in textureTiers, or -1 for the ordinary texture.
+         */
+        setTextureTier: function (tier) {
+            var self = this,
+                next = this.textureTiers[tier];
+
+            if (tier === this.textureTier) {
+                return;
+            }
+            this.textureTier = tier;
+
+            if (!next) {
+                this.showTextureTier(-1, null);
+                return;
+            }
+            if (tier === this.displayedTextureTier) {
+                return;
+            }
+
+            textureCache.acquire(next.texture, { sampler: this.getSampler('texture') }).then(function (texture) {
+                if (self.textureTier === tier) {
+                    self.showTextureTier(tier, texture);
+                }
+                else {
+                    textureCache.release(next.texture, { sampler: self.getSampler('texture') });
+                }
+            }, function () {
+                // the LoadingIndicator shows the failed download, and the texture on display is kept
+            });
+        },
+
+        /**
+         * Draws the object with the given texture tier from now on, releasing the one it replaces.
+         * @method showTextureTier
+         * @param {int}    tier    Index of the tier in textureTiers, or -1 for the ordinary texture.
+         * @param {Object} texture The tier's texture (which the object now holds a reference to), or null.
+         */
+        showTextureTier: function (tier, texture) {
+            var displayed = this.textureTiers[this.displayedTextureTier];
+
+            if (displayed) {
+                textureCache.release(displayed.texture, { sampler: this.getSampler('texture') });
+            }
+            this.displayedTextureTier = tier;
+            this.tierTexture = texture;
+        },
+
+        /**
+         * Index of the texture tier which has been asked for - see setTextureTier().
+         * @property textureTier
+         * @type {int}
+         * @default -1
+         */
+        textureTier: -1,
+
+        /**
+         * Index of the texture tier on display, which lags behind textureTier while the tier is downloading.
+         * @property displayedTextureTier
+         * @type {int}
+         * @default -1
+         */
+        displayedTextureTier: -1,
+
+        /**
+         * The texture of the tier on display, drawn in place of the ordinary texture.
+         * @property tierTexture
+         * @type {Object}
+         * @default null
+         */
+        tierTexture: null,
+
+        /**
+         * Generates a texture for objects which don't have a texture image, from seeded noise.
+         * @method initProceduralTexture
+         * @param {Object} procedural Settings of the texture - see ProceduralTexture.generate().
+         */
+        initProceduralTexture: function (procedural) {
+            this.initGeneratedTexture(proceduralTexture.generate(procedural));
+        },
+
+        /**
+         * The generated texture image (see initGeneratedTexture()), if the object has one.
+         * @property generatedImage
+         * @type {Object}
+         * @default null
+         */
+        generatedImage: null,
+
+        /**
+         * False until every texture map of the Astronomical Object (diffuse, specular and so on) has been downloaded, or has failed. Until then, the object is drawn with placeholders in place of the missing textures.
          * @property isReady
          * @type {Boolean}
          * @default false
          */
         isReady: false,
 
+        /**
+         * Resolves once the object is ready (see isReady).
+         * @property whenReady
+         * @type {Promise}
+         */
+        whenReady: null,
+
+        /**
+         * True if the object shouldn't be drawn, e.g. because it has been removed from the NBody physics simulation.
+         * @property hidden
+         * @type {Boolean}
+         * @default false
+         */
+        hidden: false,
+
         /**
          * Sets the axis of the object.
          * @method setAxis
@@ -195,32 +596,77 @@ define(['gl', 'glMatrix', 'shaders', 'buffers'], function (gl, glMatrix, shaderP
         },
 
         /**
-         * Adjusts the scales and radiuses for aesthetic reasons.
+         * Converts the radius into scene units, according to the current Scale mode. Distances are converted as they're needed, in scaleOffset().
          * @method normalise
          */
         normalise: function () {
-            this.orbitDistance /= 50000;
-            this.radius /= 100;
+            this.radius = scale.radius(this.radiusInMiles, this.star);
         },
 
         /**
-         * Executes code specific to individual entities, e.g. the Sun/Saturn's Rings. In future, this could be extracted out into a subclass.
+         * Executes code specific to individual entities, e.g. the Skybox/Saturn's Rings. In future, this could be extracted out into a subclass.
          * @method prepareSpecialCases
          */
         prepareSpecialCases: function () {
-            this.distanceFromBodyWeAreOrbiting = 0;
-            if (this.orbits) {
-                this.distanceFromBodyWeAreOrbiting = this.radius + this.orbitDistance + this.orbits.radius;
-            }
-            
-            if (this.name === 'Sun') {
-                this.radius /= 10;
+            if (this.name === 'Skybox') {
+                // drawn around the camera rather than in the scene, so it only has to be clear of the near clipping plane
+                this.radius = scale.getNearPlane() * 100;
             }
             else if (this.name === 'Saturn\'s Rings') {
-                this.distanceFromBodyWeAreOrbiting = 0;
                 this.orbitalPeriod = this.orbits.orbitalPeriod;
                 this.spinPeriod    = this.orbits.spinPeriod;
             }
+            else if (this.altitude) {
+                this.radius = this.orbits.radius * (1 + this.altitude);
+            }
+        },
+
+        /**
+         * Called when the Scale mode changes - this recalculates the size of the object and rebuilds its buffers. The object needs to be animated afterwards to move it to its new position.
+         * @method rescale
+         */
+        rescale: function () {
+            this.normalise();
+            this.prepareSpecialCases();
+            buffers.deleteBuffers(this);
+            buffers.initBuffers(this);
+            this.getLayers().forEach(function (layer) {
+                layer.rescale();
+            });
+        },
+
+        /**
+         * Recreates the object's buffers and textures after the WebGL context has been lost and restored (see ResourceRegistry). Everything it held belonged to the lost context, so nothing is deleted or released - the TextureCache has forgotten those textures too.
+         * @method restore
+         */
+        restore: function () {
+            this.texture = this.specularTexture = this.normalTexture = this.bumpTexture = this.nightTexture = null;
+            // TextureLod asks for the tier again on the next frame
+            this.textureTier = this.displayedTextureTier = -1;
+            this.tierTexture = null;
+            this.isReady     = false;
+            buffers.initBuffers(this);
+            this.initTextures();
+        },
+
+        /**
+         * Frees the WebGL resources used by the object, when it is being removed from the scene for good.
+         * @method destroy
+         */
+        destroy: function () {
+            resourceRegistry.unregister(this);
+            buffers.deleteBuffers(this);
+            if (this.ownsTexture) {
+                gl.deleteTexture(this.texture);
+            }
+            this.sharedTextures.forEach(function (shared) {
+                textureCache.release(shared.url, shared.options);
+            });
+            this.sharedTextures = [];
+            this.setTextureTier(-1);
+            this.getLayers().forEach(function (layer) {
+                layer.destroy();
+            });
         },
 
         /**
@@ -248,25 +694,44 @@ define(['gl', 'glMatrix', 'shaders', 'buffers'], function (gl, glMatrix, shaderP
         },
 
         /**
-         * Draws the object, relative to a projection matrix handles by the Camera object.
+         * Draws the object on its own, relative to a projection matrix handles by the Camera object. The objects of the scene are drawn together by the Renderer instead, in batches.
          * @method draw
          * @param  {array} projectionMatrix glMatrix object (mat4) representing projection of the camera.
          */
         draw: function (projectionMatrix) {
-            this.setupLighting(projectionMatrix);
-            this.setupTexture();
-            buffers.drawElements(this);
+            var shaderProgram = this.material.getProgram(this);
+
+            if (!shaderProgram) {
+                // the context has been lost - see ShaderLibrary.getProgram()
+                return;
+            }
+            shaderLibrary.use(shaderProgram);
+            this.material.prepare(shaderProgram);
+            this.material.draw(this, shaderProgram, projectionMatrix);
         },
 
         /**
-         * Initialises the shader variables for lighting.
-         * @method setupLighting
-         * @param  {array} projectionMatrix glMatrix object (mat4) representing projection of the camera.
+         * Works out which variant of the Phong shader to draw the object with (see Shaders), from the texture maps it has. Maps which haven't arrived yet are left out, until they have.
+         * @method getShaderDefines
+         * @return {Object} True for each feature of the shader the object needs, keyed by name.
          */
-        setupLighting: function (projectionMatrix) {
+        getShaderDefines: function () {
+            return {
+                SPECULAR_MAP: !!this.specularTexture,
+                NORMAL_MAP:   !!this.normalTexture,
+                BUMP_MAP:     !!this.bumpTexture,
+                EMISSION_MAP: !!this.nightTexture
+            };
+        },
+
+        /**
+         * Initialises the shader variables for the position of the object. The lighting is set up by its Material.
+         * @method setupMatrices
+         * @param  {Object} shaderProgram    The program in use.
+         * @param  {array}  projectionMatrix glMatrix object (mat4) representing projection of the camera.
+         */
+        setupMatrices: function (shaderProgram, projectionMatrix) {
             var normalMatrix = glMatrix.mat3.create();
-            gl.uniform1i(shaderProgram.showSpecularHighlightsUniform, true);
-            gl.uniform1i(shaderProgram.useLightingUniform, this.useLighting);
             gl.uniformMatrix4fv(shaderProgram.pMatrixUniform, false, projectionMatrix);
             gl.uniformMatrix4fv(shaderProgram.mvMatrixUniform, false, this.modelViewMatrix);
             glMatrix.mat3.normalFromMat4(normalMatrix, this.modelViewMatrix);
@@ -274,138 +739,106 @@ define(['gl', 'glMatrix', 'shaders', 'buffers'], function (gl, glMatrix, shaderP
         },
 
         /**
-         * Sets up the texture.
+         * Sets up the texture. Textures which haven't arrived yet are replaced by placeholders - a plain grey texture for the diffuse map, and a variant of the shader without the map for the others (see getShaderDefines()), which uses the uniform specular term in place of the specular map, the unperturbed surface normals in place of the normal and bump maps, and nothing at all in place of the night map.
          * @method setupTexture
+         * @param  {Object} shaderProgram The program in use.
          */
-        setupTexture: function () {
+        setupTexture: function (shaderProgram) {
             gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, this.texture);
-            gl.uniform1i(shaderProgram.useTexturesUniform, true);
+            gl.bindTexture(gl.TEXTURE_2D, this.tierTexture || this.texture || getPlaceholderTexture());
             gl.uniform1i(shaderProgram.samplerUniform, 0);
-            gl.uniform1i(shaderProgram.showSpecularSamplerUniform, false);
-            
-            if (this.specularTextureImage) {
-                gl.uniform1i(shaderProgram.showSpecularSamplerUniform, true);
+
+            if (this.specularTexture) {
                 gl.activeTexture(gl.TEXTURE1);
                 gl.bindTexture(gl.TEXTURE_2D, this.specularTexture);
                 gl.uniform1i(shaderProgram.specularSamplerUniform, 1);
             }
+
+            if (this.normalTexture) {
+                gl.activeTexture(gl.TEXTURE2);
+                gl.bindTexture(gl.TEXTURE_2D, this.normalTexture);
+                gl.uniform1i(shaderProgram.normalSamplerUniform, 2);
+            }
+
+            if (this.bumpTexture) {
+                gl.activeTexture(gl.TEXTURE3);
+                gl.bindTexture(gl.TEXTURE_2D, this.bumpTexture);
+                gl.uniform1i(shaderProgram.bumpSamplerUniform, 3);
+                gl.uniform2f(shaderProgram.bumpTexelSizeUniform, 1 / this.bumpTexture.width, 1 / this.bumpTexture.height);
+                gl.uniform1f(shaderProgram.bumpScaleUniform, this.bumpScale);
+            }
+
+            if (this.nightTexture) {
+                gl.activeTexture(gl.TEXTURE4);
+                gl.bindTexture(gl.TEXTURE_2D, this.nightTexture);
+                gl.uniform1i(shaderProgram.nightSamplerUniform, 4);
+            }
         },
 
         /**
-         * Performs the calculations necessary for the object to orbit and spin on its axis, if applicable.
+         * Moves the object (and, in turn, everything orbiting it) to where it should be at the given moment in time.
          * @method animate
-         * @param {float} millisecondsPerDay The number of milliseconds that represent a day - this is integral in some of the calculations of the animation.
-         * @param {float} millisecondsSinceLastFrame The number of milliseconds since the last frame was rendered.
+         * @param {float} daysSinceJ2000    The moment in time to move the object to, as provided by the simulation Clock.
+         * @param {Array} parentFrameMatrix glMatrix object (mat4) representing the position of the object we're orbiting. Not needed if we're not orbiting anything.
          */
-        animate: function (millisecondsPerDay, millisecondsSinceLastFrame) {
-
-            var orbitAmount = this.calculatePortionOf(this.orbitalPeriod, millisecondsSinceLastFrame, millisecondsPerDay),
-                spinAmount  = this.calculatePortionOf(this.spinPeriod, millisecondsSinceLastFrame, millisecondsPerDay);
+        animate: function (daysSinceJ2000, parentFrameMatrix) {
+            this.daysSinceJ2000 = daysSinceJ2000;
+            this.updateFrameMatrix(parentFrameMatrix);
+            this.updateModelViewMatrix();
 
-            if (this.orbits) {
-                var translationMatrix = glMatrix.mat4.create();
-
-                this.beforeOrbit(translationMatrix);
-
-                // NORMAL PLANETS
-                if (!this.orbits.orbits) {
-                    // 3. move to origin of body we're orbiting
-                    glMatrix.mat4.translate(translationMatrix, translationMatrix, [0, 0, this.distanceFromBodyWeAreOrbiting]);
-
-                    // 4. rotate by extra orbit angle
-                    glMatrix.mat4.rotate(translationMatrix, translationMatrix, orbitAmount, [0, 1, 0]);
-
-                    // 5. move back out to orbit space
-                    glMatrix.mat4.translate(translationMatrix, translationMatrix, [0, 0, -this.distanceFromBodyWeAreOrbiting]);
-                }
-                // MOONS etc
-                else {
-                    // 1. move to center of earth
-                    glMatrix.mat4.translate(translationMatrix, translationMatrix, [0, 0, this.distanceFromBodyWeAreOrbiting]);
-                    
-                    // 2. rotate by the moon's CUMULATIVE orbit amount
-                    glMatrix.mat4.rotate(translationMatrix, translationMatrix, -this.cumulativeOrbitAngle, [0, 1, 0]);
-                    
-                    // 3. move to center of sun
-                    glMatrix.mat4.translate(translationMatrix, translationMatrix, [0, 0, this.orbits.distanceFromBodyWeAreOrbiting]);
-
-                    // 4. rotate by earth's LAST orbit angle
-                    glMatrix.mat4.rotate(translationMatrix, translationMatrix, this.orbits.lastOrbitAngle, [0, 1, 0]);
-
-                    // 5. move back out by earth's distance
-                    glMatrix.mat4.translate(translationMatrix, translationMatrix, [0, 0, -this.orbits.distanceFromBodyWeAreOrbiting]);
-
-                    // 6. rotate by the moon's cumulative orbit amount PLUS the new orbit
-                    glMatrix.mat4.rotate(translationMatrix, translationMatrix, this.cumulativeOrbitAngle + orbitAmount, [0, 1, 0]);
-
-                    // 7. move back out to orbit space (away from earth)
-                    glMatrix.mat4.translate(translationMatrix, translationMatrix, [0, 0, -this.distanceFromBodyWeAreOrbiting]);
-                }
-
-                // move the planet according to its orbit matrix
-                glMatrix.mat4.multiply(this.modelViewMatrix, this.modelViewMatrix, translationMatrix);
-
-                this.afterOrbit(spinAmount);
-            }
-            else if (this.spins) {
-                glMatrix.mat4.rotate(this.modelViewMatrix, this.modelViewMatrix, spinAmount, [0, 1, 0]);
+            for (var i = 0; i < this.children.length; i++) {
+                this.children[i].animate(daysSinceJ2000, this.frameMatrix);
             }
-            
-            this.updateAttributes(orbitAmount, spinAmount);
         },
 
         /**
-         * Rotation to perform before orbit.
-         * @method beforeOrbit
-         * @param  {Object} translationMatrix glMatrix to multiply by modelViewMatrix
+         * Calculates the frame matrix, which positions the object in space without any tilt or spin. This is the transform inherited by anything orbiting the object, so that moons aren't dragged around by the spin of their planet.
+         * @method updateFrameMatrix
+         * @param {Array} parentFrameMatrix glMatrix object (mat4) representing the position of the object we're orbiting, or null.
          */
-        beforeOrbit: function (translationMatrix) {
-            // unspin
-            if (this.isNotFirstAnimationFrame) {
-                var angle = this.spinsClockwise ? this.lastSpinAngle : -this.lastSpinAngle;
-                glMatrix.mat4.rotate(translationMatrix, translationMatrix, angle, [0, 1, 0]);
-                glMatrix.mat4.rotate(translationMatrix, translationMatrix, -1, this.axisArray);
+        updateFrameMatrix: function (parentFrameMatrix) {
+            if (this.orbits) {
+                glMatrix.mat4.translate(this.frameMatrix, parentFrameMatrix, this.calculateOrbitalOffset(this.daysSinceJ2000));
             }
+            else if (this.physicsState) {
+                glMatrix.mat4.identity(this.frameMatrix);
+                glMatrix.mat4.translate(this.frameMatrix, this.frameMatrix, this.scaleOffset(this.physicsState.position.slice()));
+            }
+            else {
+                glMatrix.mat4.identity(this.frameMatrix);
+                glMatrix.mat4.translate(this.frameMatrix, this.frameMatrix, this.origin);
+            }
+
+            this.position = [this.frameMatrix[12], this.frameMatrix[13], this.frameMatrix[14]];
         },
 
         /**
-         * Rotation to perform after orbit.
-         * @method afterOrbit
-         * @param  {float} spinAmount Spin amount to take into account.
+         * Calculates the model view matrix used to draw the object, by tilting and spinning the frame matrix.
+         * @method updateModelViewMatrix
          */
-        afterOrbit: function (spinAmount) {
-            // perform spin
-            var angle = this.spinsClockwise ? (-this.lastSpinAngle - spinAmount) : (this.lastSpinAngle + spinAmount);
+        updateModelViewMatrix: function () {
+            glMatrix.mat4.copy(this.modelViewMatrix, this.frameMatrix);
+
+            // tilt on the axis, then spin about it
             glMatrix.mat4.rotate(this.modelViewMatrix, this.modelViewMatrix, 1, this.axisArray);
-            glMatrix.mat4.rotate(this.modelViewMatrix, this.modelViewMatrix, angle, [0, 1, 0]);
-            this.isNotFirstAnimationFrame = true;
+
+            if (this.spins) {
+                var angle = this.calculatePortionOf(this.spinPeriod, this.daysSinceJ2000);
+                glMatrix.mat4.rotate(this.modelViewMatrix, this.modelViewMatrix, this.spinsClockwise ? -angle : angle, [0, 1, 0]);
+            }
         },
 
         /**
-         * Calculates the portion of a given attribute, based on the number of milliseconds since the last frame and the number of milliseconds which represents a day.
+         * Calculates the portion of a given attribute, based on the number of days that have passed.
          * @method calculatePortionOf
-         * @param  {int} attribute A property of the current object, e.g. orbitalPeriod
-         * @param  {float} millisecondsSinceLastFrame    Number of milliseconds since last frame.
-         * @param  {float} millisecondsPerDay The number of milliseconds that represent a day - this is integral in some of the calculations of the animation.
+         * @param  {int} attribute A property of the current object, e.g. spinPeriod
+         * @param  {float} days    Number of days that have passed.
          * @return {float}           Angle (in radians) that should be moved by.
          */
-        calculatePortionOf: function (attribute, millisecondsSinceLastFrame, millisecondsPerDay) {
-            var proportion = millisecondsSinceLastFrame / (millisecondsPerDay * attribute),
+        calculatePortionOf: function (attribute, days) {
+            var proportion = days / attribute,
                 proportionInRadians = (Math.PI * 2) * proportion;
             return proportionInRadians;
-        },
-
-        /**
-         * Updates the object's attributes concerning angles.
-         * @method updateAttributes
-         * @param  {float} orbitAmount Last orbit amount travelled
-         * @param  {float} spinAmount  Last spin amount spun
-         */
-        updateAttributes: function (orbitAmount, spinAmount) {
-            this.lastOrbitAngle = orbitAmount;
-            this.cumulativeOrbitAngle += this.lastOrbitAngle;
-            this.lastSpinAngle += spinAmount;
         }
     };
 
@@ -1,7 +1,21 @@
 /**
  * @module Buffers
  */
-define(['gl', 'shaders', 'lighting'], function (gl, shaderProgram, lighting) {
+define(['gl'], function (gl) {
+
+    /**
+     * Points a vertex attribute of the program at a buffer. Attributes the program doesn't use (e.g. tangents, in a variant without normal or bump mapping) aren't active, so have no location, and are skipped.
+     * @method bindAttribute
+     * @param {int}    location Location of the attribute, or undefined.
+     * @param {Object} buffer   The buffer holding the attribute's values.
+     */
+    function bindAttribute(location, buffer) {
+        if (location === undefined) {
+            return;
+        }
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.vertexAttribPointer(location, buffer.itemSize, gl.FLOAT, false, 0, 0);
+    }
 
     /**
      * @class Buffers
@@ -14,6 +28,10 @@ define(['gl', 'shaders', 'lighting'], function (gl, shaderProgram, lighting) {
          * @param  {AstronomicalObject} obj The object for which we're initialising buffers.
          */
         initBuffers: function (obj) {
+            if (gl.isContextLost()) {
+                // nothing can be created until the context is restored, when the object's buffers are initialised again
+                return;
+            }
             if (obj.spherical) {
                 this.initSphericalBuffers(obj);
             } else {
@@ -22,15 +40,35 @@ define(['gl', 'shaders', 'lighting'], function (gl, shaderProgram, lighting) {
         },
 
         /**
-         * Draws the necessary elements of the object onto the canvas.
+         * Deletes the buffers of the object, e.g. before re-initialising them at a different size.
+         * @method deleteBuffers
+         * @param  {AstronomicalObject} obj The object whose buffers we're deleting.
+         */
+        deleteBuffers: function (obj) {
+            var bufferProperties = [
+                'vertexNormalBuffer', 'vertexTangentBuffer', 'vertexTextureCoordBuffer', 'vertexPositionBuffer', 'vertexIndexBuffer',
+                'cubeVertexPositionBuffer', 'cubeVertexTextureCoordBuffer', 'cubeVertexIndexBuffer'
+            ];
+
+            for (var i = 0; i < bufferProperties.length; i++) {
+                if (obj[bufferProperties[i]]) {
+                    gl.deleteBuffer(obj[bufferProperties[i]]);
+                    obj[bufferProperties[i]] = null;
+                }
+            }
+        },
+
+        /**
+         * Draws the necessary elements of the object onto the canvas. The blending and other state it is drawn with is up to its Material.
          * @method drawElements
-         * @param  {AstronomicalObject} obj The object which needs to be drawn.
+         * @param  {AstronomicalObject} obj           The object which needs to be drawn.
+         * @param  {Object}             shaderProgram The program in use - see Material.getProgram().
          */
-        drawElements: function (obj) {
+        drawElements: function (obj, shaderProgram) {
             if (obj.spherical) {
-                this.drawSphericalElements(obj);
+                this.drawSphericalElements(obj, shaderProgram);
             } else {
-                this.drawCuboidalElements(obj);
+                this.drawCuboidalElements(obj, shaderProgram);
             }
         },
 
@@ -46,6 +84,7 @@ define(['gl', 'shaders', 'lighting'], function (gl, shaderProgram, lighting) {
 
             var vertexPositionData = [];
             var normalData = [];
+            var tangentData = [];
             var textureCoordData = [];
             for (var latNumber = 0; latNumber <= latitudeBands; latNumber++) {
                 var theta = latNumber * Math.PI / latitudeBands;
@@ -66,6 +105,10 @@ define(['gl', 'shaders', 'lighting'], function (gl, shaderProgram, lighting) {
                     normalData.push(x);
                     normalData.push(y);
                     normalData.push(z);
+                    // direction in which the u texture co-ordinate increases, for normal and bump mapping
+                    tangentData.push(sinPhi);
+                    tangentData.push(0);
+                    tangentData.push(-cosPhi);
                     textureCoordData.push(u);
                     textureCoordData.push(v);
                     vertexPositionData.push(radius * x);
@@ -82,6 +125,12 @@ define(['gl', 'shaders', 'lighting'], function (gl, shaderProgram, lighting) {
             obj.vertexNormalBuffer.itemSize = 3;
             obj.vertexNormalBuffer.numItems = normalData.length / 3;
 
+            obj.vertexTangentBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, obj.vertexTangentBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(tangentData), gl.STATIC_DRAW);
+            obj.vertexTangentBuffer.itemSize = 3;
+            obj.vertexTangentBuffer.numItems = tangentData.length / 3;
+
             obj.vertexTextureCoordBuffer = gl.createBuffer();
             gl.bindBuffer(gl.ARRAY_BUFFER, obj.vertexTextureCoordBuffer);
             gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(textureCoordData), gl.STATIC_DRAW);
@@ -230,23 +279,14 @@ define(['gl', 'shaders', 'lighting'], function (gl, shaderProgram, lighting) {
         /**
          * Called by drawElements(), this draws the elements that comprise spherical objects.
          * @method drawSphericalElements
-         * @param  {AstronomicalObject} obj The spherical object we're drawing
+         * @param  {AstronomicalObject} obj           The spherical object we're drawing
+         * @param  {Object}             shaderProgram The program in use.
          */
-        drawSphericalElements: function (obj) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, obj.vertexPositionBuffer);
-            gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, obj.vertexPositionBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-            gl.bindBuffer(gl.ARRAY_BUFFER, obj.vertexTextureCoordBuffer);
-            gl.vertexAttribPointer(shaderProgram.textureCoordAttribute, obj.vertexTextureCoordBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-            gl.bindBuffer(gl.ARRAY_BUFFER, obj.vertexNormalBuffer);
-            gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, obj.vertexNormalBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-            // transparency
-            gl.disable(gl.BLEND);
-            gl.enable(gl.DEPTH_TEST);
-            gl.uniform1f(shaderProgram.alphaUniform, 1.0);
-            gl.uniform1f(shaderProgram.materialShininessUniform, lighting.getShininess());
+        drawSphericalElements: function (obj, shaderProgram) {
+            bindAttribute(shaderProgram.vertexPositionAttribute, obj.vertexPositionBuffer);
+            bindAttribute(shaderProgram.textureCoordAttribute, obj.vertexTextureCoordBuffer);
+            bindAttribute(shaderProgram.vertexNormalAttribute, obj.vertexNormalBuffer);
+            bindAttribute(shaderProgram.vertexTangentAttribute, obj.vertexTangentBuffer);
 
             gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, obj.vertexIndexBuffer);
             gl.drawElements(gl.TRIANGLES, obj.vertexIndexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
@@ -255,20 +295,12 @@ define(['gl', 'shaders', 'lighting'], function (gl, shaderProgram, lighting) {
         /**
          * Called by drawElements(), this draws the elements that comprise cuboidal objects.
          * @method drawCuboidalElements
-         * @param  {AstronomicalObject} obj The cuboidal object we're drawing
+         * @param  {AstronomicalObject} obj           The cuboidal object we're drawing
+         * @param  {Object}             shaderProgram The program in use.
          */
-        drawCuboidalElements: function (obj) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, obj.cubeVertexPositionBuffer);
-            gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, obj.cubeVertexPositionBuffer.itemSize, gl.FLOAT, false, 0, 0);
-            gl.bindBuffer(gl.ARRAY_BUFFER, obj.cubeVertexTextureCoordBuffer);
-            gl.vertexAttribPointer(shaderProgram.textureCoordAttribute, obj.cubeVertexTextureCoordBuffer.itemSize, gl.FLOAT, false, 0, 0);
-
-            // transparency
-            gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
-            gl.enable(gl.BLEND);
-            gl.enable(gl.DEPTH_TEST);
-            gl.uniform1f(shaderProgram.alphaUniform, 1.0);
-            gl.uniform1f(shaderProgram.materialShininessUniform, 0);
+        drawCuboidalElements: function (obj, shaderProgram) {
+            bindAttribute(shaderProgram.vertexPositionAttribute, obj.cubeVertexPositionBuffer);
+            bindAttribute(shaderProgram.textureCoordAttribute, obj.cubeVertexTextureCoordBuffer);
 
             gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, obj.cubeVertexIndexBuffer);
             gl.drawElements(gl.TRIANGLES, obj.cubeVertexIndexBuffer.numItems, gl.UNSIGNED_SHORT, 0);
@@ -1,11 +1,15 @@
 /**
  * @module Camera
  */
-define(['gl', 'glMatrix'], function (gl, glMatrix) {
+define(['gl', 'glMatrix', 'scale'], function (gl, glMatrix, scale) {
 
     var canvas              = document.getElementById('canvas_solar_system'),
         projectionMatrix    = glMatrix.mat4.create(),
+        skyboxMatrix        = glMatrix.mat4.create(),   // projection with the near plane of the scale mode, which the skybox is sized for
         cameraMatrix        = glMatrix.mat4.create(),
+        nearPlane           = scale.getNearPlane(),
+        nearPlaneFraction   = 0.5,      // how far the near plane is pushed out, as a fraction of the distance to the nearest surface
+        maximumDepthRatio   = 1000,     // the near plane is never pushed out further than the far plane divided by this
         fullScreen          = false,
         defaultCanvasWidth  = 800,
         defaultCanvasHeight = 400;
@@ -18,6 +22,10 @@ define(['gl', 'glMatrix'], function (gl, glMatrix) {
     function init() {
         setCanvasSize(defaultCanvasWidth, defaultCanvasHeight);
         moveCameraToStartingPosition();
+        scale.onChange(function () {
+            nearPlane = scale.getNearPlane();
+            updateProjectionMatrix();
+        });
     }
 
     /**
@@ -43,7 +51,7 @@ define(['gl', 'glMatrix'], function (gl, glMatrix) {
     }
 
     /**
-     * Updates the projection view matrix.
+     * Updates the projection view matrix. The clipping planes depend on the current scale mode, as true-to-scale distances are far greater, and the near plane is pushed out towards the nearest body (see fitNearPlane()).
      * @method updateProjectionMatrix
      */
     function updateProjectionMatrix() {
@@ -51,9 +59,10 @@ define(['gl', 'glMatrix'], function (gl, glMatrix) {
             projectionMatrix,
             Math.PI / 4,        // 45 degree field of view
             canvas.width / canvas.height,
-            1,
-            1000000
+            nearPlane,
+            scale.getFarPlane()
         );
+        glMatrix.mat4.perspective(skyboxMatrix, Math.PI / 4, canvas.width / canvas.height, scale.getNearPlane(), scale.getFarPlane());
     }
 
     init();
@@ -87,6 +96,40 @@ define(['gl', 'glMatrix'], function (gl, glMatrix) {
             return projectionViewMatrix;
         },
 
+        /**
+         * Works out how big a sphere appears on the canvas.
+         * @method getApparentSize
+         * @param  {Array} position X, Y, Z co-ordinates of the centre of the sphere.
+         * @param  {float} radius   Radius of the sphere (in scene units).
+         * @return {float}          Approximate diameter of the sphere on the canvas (in pixels), or 0 if it is behind the camera.
+         */
+        getApparentSize: function (position, radius) {
+            var m = this.getProjectionViewMatrix(),
+                w = m[3] * position[0] + m[7] * position[1] + m[11] * position[2] + m[15];    // distance in front of the camera
+
+            if (w <= 0) {
+                return 0;
+            }
+
+            return radius * projectionMatrix[5] * canvas.height / w;
+        },
+
+        /**
+         * Returns the projection view matrix of the camera without its translation, so that whatever is drawn with it stays centred on the camera, however far it moves. This is used by the Skybox.
+         * @method getProjectionRotationMatrix
+         * @return {[array]} Projection view matrix of the camera, rotation only.
+         */
+        getProjectionRotationMatrix: function () {
+            var rotationMatrix           = glMatrix.mat4.clone(cameraMatrix),
+                projectionRotationMatrix = glMatrix.mat4.create();
+
+            rotationMatrix[12] = 0;
+            rotationMatrix[13] = 0;
+            rotationMatrix[14] = 0;
+            glMatrix.mat4.multiply(projectionRotationMatrix, skyboxMatrix, rotationMatrix);
+            return projectionRotationMatrix;
+        },
+
         /**
          * Calculates the movement speed of the camera, given the number of frames the movement key has been held down for.
          * @method calculateMovementSpeed
@@ -148,30 +191,49 @@ define(['gl', 'glMatrix'], function (gl, glMatrix) {
          */
         resetPosition: moveCameraToStartingPosition,
 
+        /**
+         * Pushes the near clipping plane out to half the distance to the nearest surface, but never closer than the near plane of the scale mode. The depth buffer's precision is spread between the near and far planes in proportion to 1 / distance, so a near plane fixed close to the camera leaves too little of it for distant bodies - their rings and moons flicker through them, especially in the true-to-scale mode. Should be called before each frame is drawn.
+         * @method fitNearPlane
+         * @param {Array} objects The AstronomicalObjects of the scene.
+         */
+        fitNearPlane: function (objects) {
+            var inverse = glMatrix.mat4.invert(glMatrix.mat4.create(), cameraMatrix),
+                eye     = [inverse[12], inverse[13], inverse[14]],
+                nearest = Infinity,
+                fitted;
+
+            objects.forEach(function (object) {
+                if (!object.hidden) {
+                    nearest = Math.min(nearest, glMatrix.vec3.distance(eye, object.position) - object.radius);
+                }
+            });
+
+            fitted = Math.min(Math.max(scale.getNearPlane(), nearest * nearPlaneFraction), scale.getFarPlane() / maximumDepthRatio);
+            if (fitted !== nearPlane) {
+                nearPlane = fitted;
+                updateProjectionMatrix();
+            }
+        },
+
         /**
          * Snaps the camera to the given planet.
          * @method snapTo
          * @param  {AstronomicalObject} planet The planet object to snap to.
          */
         snapTo: function (planet) {
-            // clean slate
-            glMatrix.mat4.identity(cameraMatrix);
+            var awayFromSun = glMatrix.vec3.create(),
+                eye         = glMatrix.vec3.create();
 
-            // translate planet orbital distance
-            glMatrix.mat4.translate(cameraMatrix, cameraMatrix, [
-                planet.origin[0],
-                planet.origin[1],
-                planet.origin[2]
-            ]);
+            glMatrix.vec3.normalize(awayFromSun, planet.position);
+            if (!glMatrix.vec3.length(awayFromSun)) {
+                awayFromSun = [0, 0, 1];
+            }
 
             // zoom out a little so that we can see the planet
-            glMatrix.mat4.translate(cameraMatrix, cameraMatrix, [0, 0, -planet.radius * 5]);
-
-            // rotate same amount as planet
-            glMatrix.mat4.rotate(cameraMatrix, cameraMatrix, -planet.cumulativeOrbitAngle, [0, 1, 0]);
+            glMatrix.vec3.scaleAndAdd(eye, planet.position, awayFromSun, planet.radius * 5);
 
             // turn back to face the Sun
-            glMatrix.mat4.rotate(cameraMatrix, cameraMatrix, Math.PI, [0, 1, 0]);
+            glMatrix.mat4.lookAt(cameraMatrix, eye, planet.position, [0, 1, 0]);
         }
     };
 });
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * @module Capabilities
+ */
+define(['gl', 'resource_registry'], function (gl, resourceRegistry) {
+
+    var isWebGL2 = !!gl && typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+
+    /**
+     * Enables a WebGL 1 extension, trying any vendor-prefixed names too.
+     * @method getExtension
+     * @param  {Array}  names Names of the extension, unprefixed first.
+     * @return {Object}       The extension, or null if the device doesn't support it.
+     */
+    function getExtension(names) {
+        if (!gl) {
+            return null;
+        }
+        for (var i = 0; i < names.length; i++) {
+            var extension = gl.getExtension(names[i]);
+            if (extension) {
+                return extension;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The extensions providing each feature in WebGL 1. They're all part of WebGL 2 itself, so under WebGL 2 these are null and the features are used through the context directly.
+     * @property extensions
+     * @type {Object}
+     */
+    var extensions = {};
+
+    /**
+     * Enables the extensions, filling in the extensions object.
+     * @method initExtensions
+     */
+    function initExtensions() {
+        extensions.instancing         = isWebGL2 ? null : getExtension(['ANGLE_instanced_arrays']);
+        extensions.vertexArrayObjects = isWebGL2 ? null : getExtension(['OES_vertex_array_object', 'MOZ_OES_vertex_array_object', 'WEBKIT_OES_vertex_array_object']);
+        extensions.floatTextures      = isWebGL2 ? null : getExtension(['OES_texture_float']);
+        extensions.sRGB               = isWebGL2 ? null : getExtension(['EXT_sRGB']);
+    }
+
+    initExtensions();
+
+    resourceRegistry.register({
+        /**
+         * Extensions have to be enabled again on a restored context, and the old extension objects can't be used with it. The extensions object is updated in place, so modules can keep hold of it.
+         * @method restore
+         */
+        restore: initExtensions
+    });
+
+    /**
+     * What the WebGL context can do, so that modules can use newer features where they're available and fall back where they aren't. The context itself is created by GL - a WebGL 2 context if possible, otherwise WebGL 1.
+     * @class Capabilities
+     */
+    return {
+
+        /**
+         * True if the context is WebGL 2.
+         * @property webgl2
+         * @type {Boolean}
+         */
+        webgl2: isWebGL2,
+
+        /**
+         * True if instanced drawing (drawArraysInstanced/drawElementsInstanced) is available.
+         * @property instancing
+         * @type {Boolean}
+         */
+        instancing: isWebGL2 || !!extensions.instancing,
+
+        /**
+         * True if vertex array objects are available.
+         * @property vertexArrayObjects
+         * @type {Boolean}
+         */
+        vertexArrayObjects: isWebGL2 || !!extensions.vertexArrayObjects,
+
+        /**
+         * True if textures can hold floating point values.
+         * @property floatTextures
+         * @type {Boolean}
+         */
+        floatTextures: isWebGL2 || !!extensions.floatTextures,
+
+        /**
+         * True if textures can be stored in sRGB, so that they are converted to linear space when sampled.
+         * @property sRGB
+         * @type {Boolean}
+         */
+        sRGB: isWebGL2 || !!extensions.sRGB,
+
+        /**
+         * True if textures whose sides aren't powers of two can be mipmapped and repeated. WebGL 1 can only clamp them without mipmaps.
+         * @property npotTextures
+         * @type {Boolean}
+         */
+        npotTextures: isWebGL2,
+
+        /**
+         * Largest width or height of a texture.
+         * @property maxTextureSize
+         * @type {int}
+         */
+        maxTextureSize: gl ? gl.getParameter(gl.MAX_TEXTURE_SIZE) : 0,
+
+        /**
+         * The WebGL 1 extension objects behind the capabilities above (instancing, vertexArrayObjects, floatTextures and sRGB). Each is null if the device doesn't support it, or if the context is WebGL 2, which has the feature built in.
+         * @property extensions
+         * @type {Object}
+         */
+        extensions: extensions
+    };
+});
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * @module Clock
+ */
+define(['url_parameters'], function (urlParameters) {
+
+    var millisecondsPerDay   = 86400000,
+        julianDateUnixEpoch  = 2440587.5,   // Julian Date at 1970-01-01T00:00:00Z
+        julianDateJ2000      = 2451545.0,   // Julian Date at 2000-01-01T12:00:00Z, the epoch of the orbital elements
+        julianDate           = dateToJulianDate(getStartingDate()),
+        rate                 = 1,           // simulated days per second of real time. Negative values run time backwards.
+        listeners            = [];
+
+    /**
+     * Returns the date the simulation should start at - this is the `date` URL parameter if there is one, so that shared links show the same date, or today if not.
+     * @method getStartingDate
+     * @return {Date} The starting date.
+     */
+    function getStartingDate() {
+        var parameter = urlParameters.get('date'),
+            date;
+
+        if (parameter) {
+            // dates without a time (YYYY-MM-DD) are treated as UTC, so that every time zone sees the same configuration of planets
+            date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(parameter) ? parameter + 'T00:00:00Z' : parameter);
+            if (!isNaN(date.getTime())) {
+                return date;
+            }
+        }
+
+        return new Date();
+    }
+
+    /**
+     * Converts a JavaScript Date into a Julian Date.
+     * @method dateToJulianDate
+     * @param  {Date}  date The date to convert.
+     * @return {float}      Julian Date (days since noon, 1st January 4713 BC).
+     */
+    function dateToJulianDate(date) {
+        return (date.getTime() / millisecondsPerDay) + julianDateUnixEpoch;
+    }
+
+    /**
+     * Converts a Julian Date into a JavaScript Date.
+     * @method julianDateToDate
+     * @param  {float} jd Julian Date.
+     * @return {Date}     The equivalent date.
+     */
+    function julianDateToDate(jd) {
+        return new Date((jd - julianDateUnixEpoch) * millisecondsPerDay);
+    }
+
+    /**
+     * Writes the date being simulated to the `date` URL parameter, so that a shared link starts at exactly the same moment - even if it was opened without one, at whatever the time was then. It is only written when the clock starts or is set, rather than on every frame.
+     * @method shareDate
+     */
+    function shareDate() {
+        urlParameters.set('date', julianDateToDate(julianDate).toISOString());
+    }
+
+    /**
+     * Lets everything that depends on the simulation time know that it has changed.
+     * @method notifyListeners
+     */
+    function notifyListeners() {
+        for (var i = 0; i < listeners.length; i++) {
+            listeners[i](julianDate - julianDateJ2000);
+        }
+    }
+
+    shareDate();
+
+    /**
+     * The simulation clock, which keeps track of the date being shown in the solar system. Time is held as a Julian Date, so that it can be fed straight into the (J2000 epoch) orbital elements.
+     *
+     * The clock runs at a variable rate, which can be negative to run time backwards, and can also be stepped or jumped to an absolute time. Every change is broadcast to the listeners, so that everything depending on the time is updated consistently.
+     *
+     * @class Clock
+     */
+    return {
+
+        /**
+         * Moves the clock on according to the amount of real time that has passed, and the current rate. This happens every frame, so the date isn't written to the URL.
+         * @method tick
+         * @param  {float} realMilliseconds Number of (real) milliseconds that have passed, e.g. since the last frame.
+         */
+        tick: function (realMilliseconds) {
+            if (rate !== 0 && realMilliseconds > 0) {
+                julianDate += rate * (realMilliseconds / 1000);
+                notifyListeners();
+            }
+        },
+
+        /**
+         * Moves the clock on by the given number of days, e.g. to single-step it. Negative values move the clock backwards. Unlike the running of the clock (see tick()), this writes the new date to the URL.
+         * @method advance
+         * @param  {float} days Number of days to move the clock on by.
+         */
+        advance: function (days) {
+            julianDate += days;
+            shareDate();
+            notifyListeners();
+        },
+
+        /**
+         * Jumps the clock to the given Julian Date.
+         * @method jumpTo
+         * @param {float} jd Julian Date to jump to.
+         */
+        jumpTo: function (jd) {
+            if (!isFinite(jd)) {
+                return;
+            }
+            julianDate = jd;
+            shareDate();
+            notifyListeners();
+        },
+
+        /**
+         * Jumps the clock to the given date.
+         * @method setDate
+         * @param {Date} date The date to jump to.
+         */
+        setDate: function (date) {
+            this.jumpTo(dateToJulianDate(date));
+        },
+
+        /**
+         * Sets the rate the clock runs at.
+         * @method setRate
+         * @param {float} daysPerSecond Simulated days per second of real time. Negative values run time backwards.
+         */
+        setRate: function (daysPerSecond) {
+            rate = daysPerSecond;
+        },
+
+        /**
+         * @method getRate
+         * @return {float} Simulated days per second of real time.
+         */
+        getRate: function () {
+            return rate;
+        },
+
+        /**
+         * @method getDate
+         * @return {Date} The date currently being simulated.
+         */
+        getDate: function () {
+            return julianDateToDate(julianDate);
+        },
+
+        /**
+         * @method getJulianDate
+         * @return {float} The Julian Date currently being simulated.
+         */
+        getJulianDate: function () {
+            return julianDate;
+        },
+
+        /**
+         * @method getDaysSinceJ2000
+         * @return {float} Number of days since the J2000 epoch (negative for dates before it).
+         */
+        getDaysSinceJ2000: function () {
+            return julianDate - julianDateJ2000;
+        },
+
+        /**
+         * Registers a function to be called whenever the simulation time changes.
+         * @method onChange
+         * @param  {Function} callback Called with the number of days since the J2000 epoch.
+         */
+        onChange: function (callback) {
+            listeners.push(callback);
+        }
+    };
+});
\ No newline at end of file
@@ -0,0 +1,309 @@
+/**
+ * @module CompressedTexture
+ */
+define(['gl', 'resource_registry'], function (gl, resourceRegistry) {
+
+    /**
+     * The WebGL extensions providing each family of compressed formats, in order of preference when a texture is available in more than one. Some browsers only offer prefixed names for S3TC.
+     * @property families
+     * @type {Object}
+     */
+    var families = {
+        astc: ['WEBGL_compressed_texture_astc'],
+        bptc: ['EXT_texture_compression_bptc'],
+        etc:  ['WEBGL_compressed_texture_etc'],
+        s3tc: ['WEBGL_compressed_texture_s3tc', 'WEBKIT_WEBGL_compressed_texture_s3tc', 'MOZ_WEBGL_compressed_texture_s3tc'],
+        rgtc: ['EXT_texture_compression_rgtc']
+    };
+
+    /**
+     * The compressed formats which can be uploaded. Each has the family providing it, its WebGL internal format, and the size of its blocks (in bytes and texels).
+     * @property formats
+     * @type {Object}
+     */
+    var formats = {
+        bc1:       { family: 's3tc', internalFormat: 0x83F1, blockBytes: 8,  blockWidth: 4, blockHeight: 4 },
+        bc2:       { family: 's3tc', internalFormat: 0x83F2, blockBytes: 16, blockWidth: 4, blockHeight: 4 },
+        bc3:       { family: 's3tc', internalFormat: 0x83F3, blockBytes: 16, blockWidth: 4, blockHeight: 4 },
+        bc4:       { family: 'rgtc', internalFormat: 0x8DBB, blockBytes: 8,  blockWidth: 4, blockHeight: 4 },
+        bc5:       { family: 'rgtc', internalFormat: 0x8DBD, blockBytes: 16, blockWidth: 4, blockHeight: 4 },
+        bc7:       { family: 'bptc', internalFormat: 0x8E8C, blockBytes: 16, blockWidth: 4, blockHeight: 4 },
+        etc2RGB:   { family: 'etc',  internalFormat: 0x9274, blockBytes: 8,  blockWidth: 4, blockHeight: 4 },
+        etc2RGBA:  { family: 'etc',  internalFormat: 0x9278, blockBytes: 16, blockWidth: 4, blockHeight: 4 },
+        astc4x4:   { family: 'astc', internalFormat: 0x93B0, blockBytes: 16, blockWidth: 4, blockHeight: 4 },
+        astc6x6:   { family: 'astc', internalFormat: 0x93B4, blockBytes: 16, blockWidth: 6, blockHeight: 6 },
+        astc8x8:   { family: 'astc', internalFormat: 0x93B7, blockBytes: 16, blockWidth: 8, blockHeight: 8 }
+    };
+
+    /**
+     * Vulkan format numbers used by KTX2 files. The sRGB variants are uploaded as plain (UNORM) formats, as JPGs are - the shaders don't convert colours to linear space.
+     * @property vkFormats
+     * @type {Object}
+     */
+    var vkFormats = {
+        131: 'bc1',      132: 'bc1',      133: 'bc1',      134: 'bc1',
+        135: 'bc2',      136: 'bc2',
+        137: 'bc3',      138: 'bc3',
+        139: 'bc4',
+        141: 'bc5',
+        145: 'bc7',      146: 'bc7',
+        147: 'etc2RGB',  148: 'etc2RGB',
+        151: 'etc2RGBA', 152: 'etc2RGBA',
+        157: 'astc4x4',  158: 'astc4x4',
+        165: 'astc6x6',  166: 'astc6x6',
+        171: 'astc8x8',  172: 'astc8x8'
+    };
+
+    /**
+     * DXGI format numbers used by DDS files with a DX10 header.
+     * @property dxgiFormats
+     * @type {Object}
+     */
+    var dxgiFormats = {
+        71: 'bc1', 72: 'bc1',
+        74: 'bc2', 75: 'bc2',
+        77: 'bc3', 78: 'bc3',
+        80: 'bc4',
+        83: 'bc5',
+        98: 'bc7', 99: 'bc7'
+    };
+
+    /**
+     * Formats of DDS files without a DX10 header, keyed by their FourCC code.
+     * @property fourCCFormats
+     * @type {Object}
+     */
+    var fourCCFormats = {
+        DXT1: 'bc1',
+        DXT2: 'bc2',
+        DXT3: 'bc2',
+        DXT4: 'bc3',
+        DXT5: 'bc3',
+        ATI1: 'bc4',
+        BC4U: 'bc4',
+        ATI2: 'bc5',
+        BC5U: 'bc5'
+    };
+
+    var ktx2Identifier  = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A],
+        ddsMagic        = 0x20534444,   // 'DDS '
+        ddsdMipMapCount = 0x20000,      // set in the header flags if the mipmap count is valid
+        supported       = null;
+
+    resourceRegistry.register({
+        /**
+         * Extensions have to be enabled again on a restored context, so the supported families are worked out afresh when they're next needed.
+         * @method restore
+         */
+        restore: function () {
+            supported = null;
+        }
+    });
+
+    /**
+     * Works out which families of compressed formats the device supports. This is only done once, as enabling an extension can't be undone.
+     * @method getSupported
+     * @return {Object} True for each supported family, keyed by name.
+     */
+    function getSupported() {
+        if (!supported) {
+            supported = {};
+            for (var family in families) {
+                supported[family] = families[family].some(function (name) {
+                    return !!gl.getExtension(name);
+                });
+            }
+        }
+        return supported;
+    }
+
+    /**
+     * @method getFormat
+     * @param  {String} name Name of the format, from the formats table, or undefined.
+     * @param  {String} description Description of the format in the file, for the error message.
+     * @return {Object}      The format.
+     */
+    function getFormat(name, description) {
+        var format = formats[name];
+
+        if (!format) {
+            throw new Error('Unsupported compressed format (' + description + ')');
+        }
+        if (!getSupported()[format.family]) {
+            throw new Error(name.toUpperCase() + ' textures aren\'t supported by this device');
+        }
+
+        return format;
+    }
+
+    /**
+     * Reads the mipmap levels of a DDS file.
+     * @method parseDDS
+     * @param  {ArrayBuffer} buffer Contents of the file.
+     * @return {Object}             The texture - see parse().
+     */
+    function parseDDS(buffer) {
+        var header     = new Int32Array(buffer, 0, 32),
+            width      = header[4],
+            height     = header[3],
+            levelCount = header[2] & ddsdMipMapCount ? Math.max(1, header[7]) : 1,
+            fourCC     = String.fromCharCode(header[21] & 0xFF, (header[21] >> 8) & 0xFF, (header[21] >> 16) & 0xFF, (header[21] >> 24) & 0xFF),
+            offset     = 128,
+            levels     = [],
+            dxgiFormat,
+            format,
+            size;
+
+        if (fourCC === 'DX10') {
+            dxgiFormat = new Uint32Array(buffer, 128, 1)[0];
+            format = getFormat(dxgiFormats[dxgiFormat], 'DXGI format ' + dxgiFormat);
+            offset += 20;
+        }
+        else {
+            format = getFormat(fourCCFormats[fourCC], fourCC);
+        }
+
+        for (var i = 0; i < levelCount; i++) {
+            size = Math.ceil(width / format.blockWidth) * Math.ceil(height / format.blockHeight) * format.blockBytes;
+            levels.push({
+                width:  width,
+                height: height,
+                data:   new Uint8Array(buffer, offset, size)
+            });
+            offset += size;
+            width  = Math.max(1, width >> 1);
+            height = Math.max(1, height >> 1);
+        }
+
+        return {
+            internalFormat: format.internalFormat,
+            width:          header[4],
+            height:         header[3],
+            levels:         levels
+        };
+    }
+
+    /**
+     * Reads the mipmap levels of a KTX2 file. Only files holding a GPU format directly can be read - Basis Universal files need transcoding first, which needs the Basis transcoder, and supercompressed (zstd or zlib) files need decompressing.
+     * @method parseKTX2
+     * @param  {ArrayBuffer} buffer Contents of the file.
+     * @return {Object}             The texture - see parse().
+     */
+    function parseKTX2(buffer) {
+        var view       = new DataView(buffer),
+            vkFormat   = view.getUint32(12, true),
+            width      = view.getUint32(20, true),
+            height     = view.getUint32(24, true),
+            levelCount = Math.max(1, view.getUint32(40, true)),
+            scheme     = view.getUint32(44, true),
+            levels     = [],
+            format,
+            entry;
+
+        if (vkFormat === 0 || scheme === 1) {
+            throw new Error('Basis Universal textures need transcoding, which isn\'t available');
+        }
+        if (scheme !== 0) {
+            throw new Error('Supercompressed KTX2 textures aren\'t supported');
+        }
+        if (view.getUint32(32, true) > 1 || view.getUint32(36, true) > 1 || view.getUint32(28, true) > 1) {
+            throw new Error('Only 2D KTX2 textures are supported');
+        }
+
+        format = getFormat(vkFormats[vkFormat], 'VkFormat ' + vkFormat);
+
+        for (var i = 0; i < levelCount; i++) {
+            // 64 bit offsets and lengths, but nothing we can download is big enough to need the high halves
+            entry = 80 + i * 24;
+            levels.push({
+                width:  Math.max(1, width >> i),
+                height: Math.max(1, height >> i),
+                data:   new Uint8Array(buffer, view.getUint32(entry, true), view.getUint32(entry + 8, true))
+            });
+        }
+
+        return {
+            internalFormat: format.internalFormat,
+            width:          width,
+            height:         height,
+            levels:         levels
+        };
+    }
+
+    /**
+     * @method isKTX2
+     * @param  {ArrayBuffer} buffer Contents of the file.
+     * @return {boolean}            True if the file starts with the KTX2 identifier.
+     */
+    function isKTX2(buffer) {
+        var bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, ktx2Identifier.length));
+
+        return ktx2Identifier.every(function (value, i) {
+            return bytes[i] === value;
+        });
+    }
+
+    /**
+     * Reads GPU compressed textures from KTX2 and DDS files, so that large planet maps can be shipped without being decoded into (four times bigger, or more) RGBA images. Compressed textures can be used wherever a texture URL is expected, either on their own or as a set of alternatives with an ordinary image to fall back on - see choose().
+     *
+     * Compressed textures aren't flipped on upload as images are, so they need to be stored with their first row at the bottom (e.g. `toktx --lower_left_maps_to_s0t0`, or `texconv -vflip`). Mipmaps can't be generated for them either, so they should contain a full mipmap chain.
+     *
+     * @class CompressedTexture
+     */
+    return {
+
+        /**
+         * @method isCompressed
+         * @param  {String}  url URL of a texture.
+         * @return {boolean}     True if the URL points to a KTX2 or DDS file.
+         */
+        isCompressed: function (url) {
+            return /\.(ktx2|dds)$/i.test(url);
+        },
+
+        /**
+         * Picks which files to try for a texture. The source is either a URL, or an object of alternatives keyed by format family ('astc', 'bptc', 'etc', 's3tc' or 'rgtc'), plus an 'image' (e.g. a JPG) for devices which support none of them:
+         *
+         *     { "astc": "textures/earthmap8k.astc.ktx2", "s3tc": "textures/earthmap8k.dds", "image": "textures/earthmap1k.jpg" }
+         *
+         * @method choose
+         * @param  {String|Object} source The texture source.
+         * @return {Array}                URLs to try in turn: the best alternative the device supports, then the image.
+         */
+        choose: function (source) {
+            var candidates = [];
+
+            if (typeof source === 'string') {
+                return [source];
+            }
+
+            for (var family in families) {
+                if (source[family] && getSupported()[family]) {
+                    candidates.push(source[family]);
+                    break;
+                }
+            }
+            if (source.image) {
+                candidates.push(source.image);
+            }
+
+            return candidates;
+        },
+
+        /**
+         * Reads a KTX2 or DDS file.
+         * @method parse
+         * @param  {ArrayBuffer} buffer Contents of the file.
+         * @return {Object}             The texture: its internalFormat (a WebGL constant), width, height and levels (each with a width, height and data), largest first. Throws an Error if the file can't be read, or its format isn't supported by the device.
+         */
+        parse: function (buffer) {
+            if (buffer.byteLength >= 80 && isKTX2(buffer)) {
+                return parseKTX2(buffer);
+            }
+            if (buffer.byteLength >= 128 && new Uint32Array(buffer, 0, 1)[0] === ddsMagic) {
+                return parseDDS(buffer);
+            }
+            throw new Error('Not a KTX2 or DDS file');
+        }
+    };
+});
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * @module Controls
  */
-define(['glMatrix', 'camera', 'controls__gui', 'solar_system', 'Mousetrap'], function (glMatrix, camera, gui, SolarSystem) {
+define(['glMatrix', 'camera', 'controls__gui', 'solar_system', 'clock', 'nbody', 'astronomical_object', 'scene_loader', 'skybox', 'Mousetrap'], function (glMatrix, camera, gui, SolarSystem, clock, nbody, AstronomicalObject, sceneLoader, skybox) {
 
     var canvas           = document.getElementById('canvas_solar_system');
     var triggerAnimation = function () {};
@@ -10,6 +10,8 @@ define(['glMatrix', 'camera', 'controls__gui', 'solar_system', 'Mousetrap'], fun
     var lastMouseX       = null;
     var lastMouseY       = null;
     var paused           = false;
+    var roguePlanets     = [];
+    var planetShortcuts  = {};
 
     /**
      * Defines keyboard and mouse controls for interacting with the solar system.
@@ -17,10 +19,15 @@ define(['glMatrix', 'camera', 'controls__gui', 'solar_system', 'Mousetrap'], fun
      * @constructor
      */
     function init() {
-        var planetShortcuts = bindKeysToPlanets();
+        bindKeysToPlanets();
         bindKeyboardControls();
         bindMouseControls();
-        gui.init(planetShortcuts, triggerAnimation);
+        gui.init(planetShortcuts, triggerAnimation, {
+            setGravity:     setGravity,
+            removeSun:      removeSun,
+            addRoguePlanet: addRoguePlanet,
+            loadScene:      loadScene
+        });
     }
 
     /**
@@ -34,7 +41,7 @@ define(['glMatrix', 'camera', 'controls__gui', 'solar_system', 'Mousetrap'], fun
     }
 
     /**
-     * Handles binding certain key presses to calling the camera snapTo() function.
+     * Handles binding certain key presses to calling the camera snapTo() function. Any shortcuts belonging to a previous scene are unbound first.
      * @method bindKeysToPlanets
      * @return {JSON} Associative array where key is keyboard shortcut, value is Astronomical Object linked to that shortcut.
      */
@@ -44,6 +51,8 @@ define(['glMatrix', 'camera', 'controls__gui', 'solar_system', 'Mousetrap'], fun
             keysToBind = [],
             shortcut;
 
+        Mousetrap.unbind(Object.keys(planetShortcuts));
+
         for (var i = 0; i < SolarSystem.length; i++) {
             shortcut = SolarSystem[i].shortcutKey;
             if (shortcut) {
@@ -57,9 +66,33 @@ define(['glMatrix', 'camera', 'controls__gui', 'solar_system', 'Mousetrap'], fun
             triggerAnimation();
         });
 
+        planetShortcuts = planetAssociatedWith;
         return planetAssociatedWith;
     }
 
+    /**
+     * Replaces everything in the scene with the bodies in the given scene description, e.g. a system imported from a CSV file.
+     * @method loadScene
+     * @param {Object} description Scene description, as accepted by SceneLoader.build().
+     */
+    function loadScene(description) {
+        var scene;
+
+        setGravity(false);
+        scene = sceneLoader.build(description);
+
+        SolarSystem.forEach(function (object) {
+            object.destroy();
+        });
+        // replace the contents rather than the array itself, as other modules hold references to it
+        SolarSystem.splice.apply(SolarSystem, [0, SolarSystem.length].concat(scene.objects));
+        skybox.replace(scene.skybox);
+
+        gui.updateInstructions(bindKeysToPlanets());
+        camera.resetPosition();
+        clock.advance(0);
+    }
+
     /**
      * Binds some key events to handler functions.
      * @method bindKeyboardControls
@@ -111,6 +144,98 @@ define(['glMatrix', 'camera', 'controls__gui', 'solar_system', 'Mousetrap'], fun
             camera.resetPosition();
             triggerAnimation();
         }, 'keydown');
+
+        Mousetrap.bind([',', '.'], function (e, key) {
+            clock.advance(key === ',' ? -1 : 1);
+            triggerAnimation();
+        }, 'keydown');
+
+        Mousetrap.bind(['b'], function (e, key) {
+            gui.reverseTime();
+        }, 'keydown');
+
+        Mousetrap.bind(['g'], function (e, key) {
+            gui.toggleGravity();
+            triggerAnimation();
+        }, 'keydown');
+    }
+
+    /**
+     * Switches the N-body physics mode on or off. Switching it off puts everything back on its kinematic orbit, bringing back the Sun if it was removed and getting rid of any rogue planets.
+     * @method setGravity
+     * @param {boolean} enabled True to switch the physics mode on.
+     */
+    function setGravity(enabled) {
+        if (enabled === nbody.isEnabled()) {
+            return;
+        }
+
+        if (enabled) {
+            nbody.enable(SolarSystem, clock.getDaysSinceJ2000());
+        }
+        else {
+            nbody.disable();
+            roguePlanets.forEach(function (planet) {
+                planet.destroy();
+                SolarSystem.splice(SolarSystem.indexOf(planet), 1);
+            });
+            roguePlanets = [];
+            SolarSystem.forEach(function (object) {
+                object.hidden = false;
+            });
+        }
+
+        // moving the clock on by nothing repositions everything, without moving the simulation on
+        clock.advance(0);
+    }
+
+    /**
+     * Removes the Sun (or whichever star is at the centre of the scene) from the physics simulation, leaving the planets to fly off in straight lines.
+     * @method removeSun
+     */
+    function removeSun() {
+        var sun = findHeaviestObject();
+
+        setGravity(true);
+        nbody.remove(sun);
+        sun.hidden = true;
+        clock.advance(0);
+    }
+
+    /**
+     * Sends a Jupiter-sized rogue planet into the solar system, from 40 AU away, on a path that crosses Jupiter's orbit.
+     * @method addRoguePlanet
+     */
+    function addRoguePlanet() {
+        var milesPerAstronomicalUnit = 92955807,
+            speed                    = 537000,     // miles per day, which is about 10 km/s
+            planet                   = new AstronomicalObject({
+                name:       'Rogue Planet',
+                radius:     43441,
+                mass:       1.898e27,
+                axis:       10,
+                procedural: { type: 'gasGiant', palette: ['#2f3f6b', '#7d93c9', '#c9d3f0', '#566aa3'] }
+            });
+
+        setGravity(true);
+        nbody.add(planet, [40 * milesPerAstronomicalUnit, 0, 5.2 * milesPerAstronomicalUnit], [-speed, 0, 0]);
+        SolarSystem.push(planet);
+        roguePlanets.push(planet);
+        clock.advance(0);
+    }
+
+    /**
+     * @method findHeaviestObject
+     * @return {AstronomicalObject} The object in the scene with the largest mass.
+     */
+    function findHeaviestObject() {
+        var heaviest = SolarSystem[0];
+        for (var i = 1; i < SolarSystem.length; i++) {
+            if (SolarSystem[i].mass > heaviest.mass) {
+                heaviest = SolarSystem[i];
+            }
+        }
+        return heaviest;
     }
 
     /**
@@ -189,15 +314,6 @@ define(['glMatrix', 'camera', 'controls__gui', 'solar_system', 'Mousetrap'], fun
          */
         paused: function () {
             return paused;
-        },
-
-        /**
-         * Grabs the milliseconds per dsy from the GUI form input.
-         * @method millisecondsPerDay
-         * @return {float} Milliseconds per day.
-         */
-        millisecondsPerDay: function () {
-            return parseInt(document.getElementById('millisecondsPerDay').value, 10);
         }
     };
 });
\ No newline at end of file
@@ -1,22 +1,28 @@
 /**
  * @module ControlsGUI
  */
-define(['text!controls__gui_info.txt'], function (instructions) {
+define(['clock', 'scale', 'scene', 'exoplanet_importer', 'text!controls__gui_info.txt'], function (clock, scale, scene, exoplanetImporter, instructions) {
 
-    var triggerAnimation;
+    var triggerAnimation,
+        actions,
+        instructionsContainer,
+        timeReversed = false;
 
     /**
      * Creates the GUI.
      * @method createGUI
      * @param  {object} planetShortcuts    Array of planet names and the keyboard shortcut to use to snap to them.  
      * @param  {Function} triggerAnimationParameter Provides a hook for updating animation after changing input values (@TODO - this is a code smell. Should decouple the animation from the GUI inputs.)
+     * @param  {Object} actionsParameter   Functions for changing the scene: setGravity(enabled), removeSun() and addRoguePlanet() for the N-body physics mode, and loadScene(description).
      */
-    function createGUI(planetShortcuts, triggerAnimationParameter) {
+    function createGUI(planetShortcuts, triggerAnimationParameter, actionsParameter) {
         triggerAnimation = triggerAnimationParameter;
+        actions = actionsParameter;
         
-        var canvasContainer       = document.getElementById('canvas_solar_system__container'),
-            instructionsContainer = document.createElement('DIV'),
-            guiContainer          = document.createElement('DIV');
+        var canvasContainer = document.getElementById('canvas_solar_system__container'),
+            guiContainer    = document.createElement('DIV');
+
+        instructionsContainer = document.createElement('DIV');
         
         canvasContainer.insertBefore(instructionsContainer, canvasContainer.firstChild);
         canvasContainer.appendChild(guiContainer);
@@ -33,9 +39,15 @@ define(['text!controls__gui_info.txt'], function (instructions) {
      * @param  {object} planetShortcuts    Array of planet names and the keyboard shortcut to use to snap to them. 
      */
     function createInstructions(instructionsContainer, planetShortcuts) {
+        var key;
+
         instructionsContainer.innerHTML = instructions;
         for (var shortcut in planetShortcuts) {
-            instructionsContainer.innerHTML += '<strong>' + shortcut + '</strong>: ' + planetShortcuts[shortcut].name + ', ';
+            // the names can come from an imported CSV file, so they're added as text rather than HTML
+            key = document.createElement('STRONG');
+            key.textContent = shortcut;
+            instructionsContainer.appendChild(key);
+            instructionsContainer.appendChild(document.createTextNode(': ' + planetShortcuts[shortcut].name + ', '));
         }
     }
 
@@ -93,30 +105,37 @@ define(['text!controls__gui_info.txt'], function (instructions) {
             ),
             speedInfo;
 
-        var globals = {
-            ambient:   0.4,
-            specular:  0.7,
-            diffuse:   0.7,
-            shininess: 5
-        };
+        // starting values come from the scene file
+        var globals = scene.lighting;
 
         createSlider({
-            label:      'Time',
-            id:         'millisecondsPerDay',
-            minLabel:   'Fast',
-            maxLabel:   'Slow',
-            min:        10,
-            max:        5000,
-            step:       10,
-            defaultVal: 1000,
+            label:      'Speed',
+            id:         'simulationSpeed',
+            minLabel:   'Real time',
+            maxLabel:   'Years per second',
+            min:        Math.log(1 / 86400) / Math.LN10,   // the slider is logarithmic: its value is the power of 10 of the number of days per second, so this is one second per second
+            max:        3.6,
+            step:       'any',                              // steps would count from the minimum, and move the default of 1 day per second off the grid
+            defaultVal: 0,
             container:  speedContainer,
-            onChangeCallback: updateMillisecondsPerDay
+            onChangeCallback: updateSpeed
         });
 
         speedInfo = document.createElement('DIV');
-        speedInfo.id = 'millisecondsPerDayInfo';
+        speedInfo.id = 'simulationSpeedInfo';
         speedContainer.appendChild(speedInfo);
-        updateMillisecondsPerDay();
+
+        createButtons(speedContainer, [
+            { label: '&#9664; 1 day',  onClick: function () { clock.advance(-1); } },
+            { label: 'Reverse',        onClick: reverseTime, id: 'simulationReverse' },
+            { label: '1 day &#9654;',  onClick: function () { clock.advance(1); } },
+            { label: 'Now',            onClick: function () { clock.setDate(new Date()); } }
+        ]);
+        updateSpeed();
+
+        createDateInput(speedContainer);
+
+        createGravityControls(speedContainer);
 
         createSlider({
             label:      'Planet shininess',
@@ -128,6 +147,10 @@ define(['text!controls__gui_info.txt'], function (instructions) {
             container:  shininessContainer
         });
 
+        createScaleControls(shininessContainer);
+
+        createImportControls(shininessContainer);
+
         createSlider({
             label:      'Ambient Light - Global',
             id:         'ambientGlobal',
@@ -295,24 +318,313 @@ define(['text!controls__gui_info.txt'], function (instructions) {
     }
 
     /**
-     * Updates the value displayed to users when they change the number of milliseconds per day.
-     * @method updateMillisecondsPerDay
+     * Creates a row of buttons.
+     * @method createButtons
+     * @param  {DOMElement} container Document element to insert the buttons in.
+     * @param  {Array}      buttons   Array of config objects, each with a label, an onClick callback and an optional id.
      */
-    function updateMillisecondsPerDay() {
-        var inputValue = document.getElementById('millisecondsPerDay').value,
-            info  = document.getElementById('millisecondsPerDayInfo'),
-            millisecondsPerDay = parseInt(inputValue, 10),
-            secondsPerDay = millisecondsPerDay / 1000,
-            html = '1 Earth day = ';
-
-        if (secondsPerDay < 1) {
-            html += millisecondsPerDay + ' milliseconds';
+    function createButtons(container, buttons) {
+        var fieldset = document.createElement('FIELDSET');
+        container.appendChild(fieldset);
+
+        buttons.forEach(function (config) {
+            var button = document.createElement('BUTTON');
+            button.type = 'button';
+            button.innerHTML = config.label;
+            if (config.id) {
+                button.id = config.id;
+            }
+            button.onclick = function () {
+                config.onClick();
+                triggerAnimation();
+            };
+            fieldset.appendChild(button);
+        });
+    }
+
+    /**
+     * Sets the rate of the simulation clock from the speed slider and the direction of time, and updates the value displayed to users.
+     * @method updateSpeed
+     */
+    function updateSpeed() {
+        var exponent      = parseFloat(document.getElementById('simulationSpeed').value),
+            daysPerSecond = Math.pow(10, exponent) * (timeReversed ? -1 : 1);
+
+        clock.setRate(daysPerSecond);
+        document.getElementById('simulationSpeedInfo').innerHTML = '1 second = ' + describeDuration(Math.abs(daysPerSecond)) + (timeReversed ? ', backwards in time' : '');
+        document.getElementById('simulationReverse').innerHTML = timeReversed ? 'Forwards' : 'Reverse';
+    }
+
+    /**
+     * Reverses the direction the simulation clock runs in.
+     * @method reverseTime
+     */
+    function reverseTime() {
+        timeReversed = !timeReversed;
+        updateSpeed();
+    }
+
+    /**
+     * Describes a number of days in whichever unit is most readable.
+     * @method describeDuration
+     * @param  {float}  days Number of days.
+     * @return {String}      Human readable duration, e.g. '3.2 years'.
+     */
+    function describeDuration(days) {
+        var units = [
+                { name: 'year',   days: 365.25 },
+                { name: 'day',    days: 1 },
+                { name: 'hour',   days: 1 / 24 },
+                { name: 'minute', days: 1 / 1440 },
+                { name: 'second', days: 1 / 86400 }
+            ],
+            unit,
+            amount;
+
+        for (var i = 0; i < units.length; i++) {
+            unit = units[i];
+            if (days >= unit.days) {
+                break;
+            }
         }
-        else {
-            html += (secondsPerDay + ' ') + (secondsPerDay > 1 ? 'seconds' : 'second');
+
+        amount = parseFloat((days / unit.days).toPrecision(2));
+        return amount + ' ' + unit.name + (amount === 1 ? '' : 's');
+    }
+
+    /**
+     * Creates the controls for switching between scale modes, and for setting the factors used by the custom scale mode (which are only shown when it is selected).
+     * @method createScaleControls
+     * @param  {DOMElement} container Document element to insert the controls in.
+     */
+    function createScaleControls(container) {
+        var fieldset       = document.createElement('FIELDSET'),
+            label          = document.createElement('LABEL'),
+            select         = document.createElement('SELECT'),
+            customFieldset = document.createElement('FIELDSET'),
+            distanceInput  = createNumberInput(customFieldset, 'scaleDistanceFactor', 'Miles per unit (distances)', scale.getCustomFactors().distance),
+            radiusInput    = createNumberInput(customFieldset, 'scaleRadiusFactor', 'Miles per unit (sizes)', scale.getCustomFactors().radius),
+            modes          = scale.getModes(),
+            option;
+
+        label.innerHTML = 'Scale';
+        select.id = 'scaleMode';
+
+        for (var name in modes) {
+            option = document.createElement('OPTION');
+            option.value = name;
+            option.innerHTML = modes[name].label;
+            option.selected = name === scale.getModeName();
+            select.appendChild(option);
+        }
+
+        select.onchange = function () {
+            scale.setMode(select.value);
+            customFieldset.style.display = select.value === 'custom' ? '' : 'none';
+            triggerAnimation();
+        };
+
+        distanceInput.onchange = radiusInput.onchange = function () {
+            scale.setCustomFactors(parseFloat(distanceInput.value), parseFloat(radiusInput.value));
+            triggerAnimation();
+        };
+
+        customFieldset.style.display = select.value === 'custom' ? '' : 'none';
+
+        container.appendChild(fieldset);
+        fieldset.appendChild(label);
+        fieldset.appendChild(select);
+        container.appendChild(customFieldset);
+    }
+
+    /**
+     * Creates a labelled number input.
+     * @method createNumberInput
+     * @param  {DOMElement} container  Document element to insert the input in.
+     * @param  {String}     id         ID to give the input.
+     * @param  {String}     labelText  Text of the label.
+     * @param  {float}      defaultVal Starting value.
+     * @return {DOMElement}            The input.
+     */
+    function createNumberInput(container, id, labelText, defaultVal) {
+        var label = document.createElement('LABEL'),
+            input = document.createElement('INPUT');
+
+        label.innerHTML = labelText;
+        label.htmlFor = id;
+
+        input.type  = 'number';
+        input.id    = id;
+        input.min   = 1;
+        input.value = defaultVal;
+
+        container.appendChild(label);
+        container.appendChild(input);
+        return input;
+    }
+
+    /**
+     * Creates the date input, which lets users jump the simulation to a given date, and the information text which shows the date currently being simulated.
+     * @method createDateInput
+     * @param  {DOMElement} container Document element to insert the date input in.
+     */
+    function createDateInput(container) {
+        var fieldset = document.createElement('FIELDSET'),
+            label    = document.createElement('LABEL'),
+            input    = document.createElement('INPUT'),
+            info     = document.createElement('DIV');
+
+        label.innerHTML = 'Date (positions are accurate between 1800 and 2050)';
+
+        input.type  = 'date';
+        input.id    = 'simulationDate';
+        input.value = clock.getDate().toISOString().substring(0, 10);
+        input.onchange = function () {
+            // treat the date as UTC, so that every time zone sees the same configuration of planets
+            clock.setDate(new Date(input.value + 'T00:00:00Z'));
+            triggerAnimation();
+        };
+
+        info.id = 'simulationDateInfo';
+
+        container.appendChild(fieldset);
+        fieldset.appendChild(label);
+        fieldset.appendChild(input);
+        container.appendChild(info);
+
+        clock.onChange(updateDateInfo);
+        updateDateInfo();
+    }
+
+    /**
+     * Updates the date displayed to users, to reflect the date currently being simulated.
+     * @method updateDateInfo
+     */
+    function updateDateInfo() {
+        var info = document.getElementById('simulationDateInfo'),
+            html = 'Showing ' + clock.getDate().toISOString().substring(0, 10) + ' (Julian Date ' + clock.getJulianDate().toFixed(1) + ')';
+
+        // this is called on every frame, so only touch the DOM when the text has actually changed
+        if (info.innerHTML !== html) {
+            info.innerHTML = html;
         }
+    }
 
-        info.innerHTML = html;
+    /**
+     * Creates the checkbox which switches the N-body physics mode on and off, and the buttons for experimenting with it.
+     * @method createGravityControls
+     * @param  {DOMElement} container Document element to insert the controls in.
+     */
+    function createGravityControls(container) {
+        var fieldset = document.createElement('FIELDSET'),
+            label    = document.createElement('LABEL'),
+            checkbox = document.createElement('INPUT');
+
+        checkbox.type = 'checkbox';
+        checkbox.id   = 'simulationGravity';
+        checkbox.onchange = function () {
+            actions.setGravity(checkbox.checked);
+            triggerAnimation();
+        };
+
+        label.htmlFor = checkbox.id;
+        label.innerHTML = 'N-body gravity (planets attract each other, rather than following fixed orbits)';
+
+        container.appendChild(fieldset);
+        fieldset.appendChild(checkbox);
+        fieldset.appendChild(label);
+
+        createButtons(container, [
+            { label: 'Remove the Sun',     onClick: function () { actions.removeSun(); checkbox.checked = true; } },
+            { label: 'Add a rogue planet', onClick: function () { actions.addRoguePlanet(); checkbox.checked = true; } }
+        ]);
+    }
+
+    /**
+     * Switches the N-body physics mode on or off, updating the GUI to match.
+     * @method toggleGravity
+     */
+    function toggleGravity() {
+        var checkbox = document.getElementById('simulationGravity');
+        checkbox.checked = !checkbox.checked;
+        actions.setGravity(checkbox.checked);
+    }
+
+    /**
+     * Creates the controls for importing planetary systems from CSV files (see ExoplanetImporter). If a file contains more than one system, a dropdown lets users pick which one to show.
+     * @method createImportControls
+     * @param  {DOMElement} container Document element to insert the controls in.
+     */
+    function createImportControls(container) {
+        var fieldset = document.createElement('FIELDSET'),
+            label    = document.createElement('LABEL'),
+            input    = document.createElement('INPUT'),
+            select   = document.createElement('SELECT'),
+            info     = document.createElement('DIV'),
+            systems  = [];
+
+        label.innerHTML = 'Import exoplanet system (CSV from the NASA Exoplanet Archive)';
+        label.htmlFor = 'exoplanetImport';
+
+        input.type   = 'file';
+        input.id     = 'exoplanetImport';
+        input.accept = '.csv,text/csv';
+        input.onchange = function () {
+            var reader = new FileReader();
+
+            if (!input.files.length) {
+                return;
+            }
+
+            reader.onload = function () {
+                systems = exoplanetImporter.parse(reader.result);
+                select.innerHTML = '';
+                systems.forEach(function (system, index) {
+                    var option = document.createElement('OPTION');
+                    option.value = index;
+                    option.textContent = system.name + ' (' + (system.bodies.length - 1) + ' planets)';
+                    select.appendChild(option);
+                });
+                select.style.display = systems.length > 1 ? '' : 'none';
+
+                if (systems.length) {
+                    showImportedSystem(systems[0]);
+                }
+                else {
+                    info.textContent = 'No planets with a known orbit were found in ' + input.files[0].name + '.';
+                }
+            };
+            reader.onerror = function () {
+                info.textContent = input.files[0].name + ' could not be read' + (reader.error ? ' (' + reader.error.message + ')' : '') + '.';
+            };
+            reader.readAsText(input.files[0]);
+        };
+
+        select.id = 'exoplanetSystem';
+        select.style.display = 'none';
+        select.onchange = function () {
+            showImportedSystem(systems[select.value]);
+        };
+
+        info.id = 'exoplanetImportInfo';
+
+        container.appendChild(fieldset);
+        fieldset.appendChild(label);
+        fieldset.appendChild(input);
+        fieldset.appendChild(select);
+        container.appendChild(info);
+    }
+
+    /**
+     * Replaces the scene with an imported system. Loading a new scene switches the N-body physics mode off, so the checkbox is updated to match.
+     * @method showImportedSystem
+     * @param  {Object} system Scene description of the system to show.
+     */
+    function showImportedSystem(system) {
+        actions.loadScene(system);
+        document.getElementById('simulationGravity').checked = false;
+        document.getElementById('exoplanetImportInfo').textContent = 'Showing ' + system.name + '. Every orbit is drawn in the same plane.';
+        triggerAnimation();
     }
 
     /**
@@ -340,6 +652,27 @@ define(['text!controls__gui_info.txt'], function (instructions) {
          * @method init
          * @constructor
          */
-        init: createGUI
+        init: createGUI,
+
+        /**
+         * Reverses the direction the simulation clock runs in, updating the GUI to match.
+         * @method reverseTime
+         */
+        reverseTime: reverseTime,
+
+        /**
+         * Switches the N-body physics mode on or off, updating the GUI to match.
+         * @method toggleGravity
+         */
+        toggleGravity: toggleGravity,
+
+        /**
+         * Replaces the keyboard shortcuts listed in the instructions, e.g. after a different scene has been loaded.
+         * @method updateInstructions
+         * @param  {object} planetShortcuts Array of planet names and the keyboard shortcut to use to snap to them.
+         */
+        updateInstructions: function (planetShortcuts) {
+            createInstructions(instructionsContainer, planetShortcuts);
+        }
     };
 });
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * @module Ephemeris
+ */
+define(function () {
+
+    var milesPerAstronomicalUnit = 92955807,
+        daysPerCentury           = 36525;
+
+    /**
+     * Keplerian elements and their rates of change, for the J2000 epoch. Taken from "Keplerian Elements for Approximate Positions of the Major Planets" (E.M. Standish, JPL), valid for 1800 AD - 2050 AD.
+     *
+     * Each entry is [value at J2000, rate per Julian century] for:
+     * a (semi-major axis, AU), e (eccentricity), I (inclination), L (mean longitude), w (longitude of perihelion), node (longitude of the ascending node). Angles are in degrees.
+     *
+     * @property elements
+     * @type {Object}
+     */
+    var elements = {
+        mercury: {
+            a:    [0.38709927,   0.00000037],
+            e:    [0.20563593,   0.00001906],
+            I:    [7.00497902,  -0.00594749],
+            L:    [252.25032350, 149472.67411175],
+            w:    [77.45779628,  0.16047689],
+            node: [48.33076593, -0.12534081]
+        },
+        venus: {
+            a:    [0.72333566,   0.00000390],
+            e:    [0.00677672,  -0.00004107],
+            I:    [3.39467605,  -0.00078890],
+            L:    [181.97909950, 58517.81538729],
+            w:    [131.60246718, 0.00268329],
+            node: [76.67984255, -0.27769418]
+        },
+        earth: {
+            a:    [1.00000261,   0.00000562],
+            e:    [0.01671123,  -0.00004392],
+            I:    [-0.00001531, -0.01294668],
+            L:    [100.46457166, 35999.37244981],
+            w:    [102.93768193, 0.32327364],
+            node: [0.0,          0.0]
+        },
+        mars: {
+            a:    [1.52371034,   0.00001847],
+            e:    [0.09339410,   0.00007882],
+            I:    [1.84969142,  -0.00813131],
+            L:    [-4.55343205,  19140.30268499],
+            w:    [-23.94362959, 0.44441088],
+            node: [49.55953891, -0.29257343]
+        },
+        jupiter: {
+            a:    [5.20288700,  -0.00011607],
+            e:    [0.04838624,  -0.00013253],
+            I:    [1.30439695,  -0.00183714],
+            L:    [34.39644051,  3034.74612775],
+            w:    [14.72847983,  0.21252668],
+            node: [100.47390909, 0.20469106]
+        },
+        saturn: {
+            a:    [9.53667594,  -0.00125060],
+            e:    [0.05386179,  -0.00050991],
+            I:    [2.48599187,   0.00193609],
+            L:    [49.95424423,  1222.49362201],
+            w:    [92.59887831, -0.41897216],
+            node: [113.66242448, -0.28867794]
+        },
+        uranus: {
+            a:    [19.18916464, -0.00196176],
+            e:    [0.04725744,  -0.00004397],
+            I:    [0.77263783,  -0.00242939],
+            L:    [313.23810451, 428.48202785],
+            w:    [170.95427630, 0.40805281],
+            node: [74.01692503,  0.04240589]
+        },
+        neptune: {
+            a:    [30.06992276,  0.00026291],
+            e:    [0.00859048,   0.00005105],
+            I:    [1.77004347,   0.00035372],
+            L:    [-55.12002969, 218.45945325],
+            w:    [44.96476227, -0.32241464],
+            node: [131.78422574, -0.00508664]
+        },
+        pluto: {
+            a:    [39.48211675, -0.00031596],
+            e:    [0.24882730,   0.00005170],
+            I:    [17.14001206,  0.00004818],
+            L:    [238.92903833, 145.20780515],
+            w:    [224.06891629, -0.04062942],
+            node: [110.30393684, -0.01183482]
+        }
+    };
+
+    /**
+     * Calculates the value of an element at the given number of centuries since J2000.
+     * @method valueAt
+     * @param  {Array} element   [value at J2000, rate per century]
+     * @param  {float} centuries Julian centuries since J2000.
+     * @return {float}           Value of the element.
+     */
+    function valueAt(element, centuries) {
+        return element[0] + element[1] * centuries;
+    }
+
+    /**
+     * @class Ephemeris
+     */
+    return {
+
+        /**
+         * Calculates the orbital elements of a body for the given moment in time.
+         * @method elementsAt
+         * @param  {String} body           Name of the body, e.g. 'mars'.
+         * @param  {float}  daysSinceJ2000 Number of days since the J2000 epoch.
+         * @return {Object}                Orbital elements (angles in degrees, semi-major axis in miles), in the form accepted by the AstronomicalObject config.
+         */
+        elementsAt: function (body, daysSinceJ2000) {
+            var planet               = elements[body],
+                centuries            = daysSinceJ2000 / daysPerCentury,
+                meanLongitude        = valueAt(planet.L, centuries),
+                longitudeOfPeriapsis = valueAt(planet.w, centuries),
+                node                 = valueAt(planet.node, centuries);
+
+            return {
+                orbitDistance:            valueAt(planet.a, centuries) * milesPerAstronomicalUnit,
+                orbitalPeriod:            (360 * daysPerCentury) / planet.L[1],
+                eccentricity:             valueAt(planet.e, centuries),
+                inclination:              valueAt(planet.I, centuries),
+                longitudeOfAscendingNode: node,
+                argumentOfPeriapsis:      longitudeOfPeriapsis - node,
+                meanAnomaly:              meanLongitude - longitudeOfPeriapsis
+            };
+        }
+    };
+});
\ No newline at end of file
@@ -0,0 +1,281 @@
+/**
+ * @module ExoplanetImporter
+ */
+define(function () {
+
+    var milesPerAstronomicalUnit = 92955807,
+        milesPerSolarRadius      = 432500,
+        milesPerEarthRadius      = 3959,
+        kgPerSolarMass           = 1.989e30,
+        kgPerEarthMass           = 5.972e24,
+        daysPerYear              = 365.25;
+
+    /**
+     * Splits a CSV file into rows of fields. Handles quoted fields (which may contain commas and escaped "" quotes), and skips the commented lines at the top of files downloaded from the NASA Exoplanet Archive.
+     * @method parseCSV
+     * @param  {String} csv Contents of the CSV file.
+     * @return {Array}      Array of rows, each an array of strings.
+     */
+    function parseCSV(csv) {
+        var lines = csv.split(/\r?\n/),
+            rows  = [];
+
+        for (var i = 0; i < lines.length; i++) {
+            if (lines[i].trim() && lines[i].charAt(0) !== '#') {
+                rows.push(parseCSVLine(lines[i]));
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * @method parseCSVLine
+     * @param  {String} line A single line of a CSV file.
+     * @return {Array}       The fields in the line.
+     */
+    function parseCSVLine(line) {
+        var fields  = [],
+            field   = '',
+            quoted  = false,
+            character;
+
+        for (var i = 0; i < line.length; i++) {
+            character = line.charAt(i);
+            if (quoted) {
+                if (character === '"' && line.charAt(i + 1) === '"') {
+                    field += '"';
+                    i++;
+                }
+                else if (character === '"') {
+                    quoted = false;
+                }
+                else {
+                    field += character;
+                }
+            }
+            else if (character === '"') {
+                quoted = true;
+            }
+            else if (character === ',') {
+                fields.push(field.trim());
+                field = '';
+            }
+            else {
+                field += character;
+            }
+        }
+        fields.push(field.trim());
+
+        return fields;
+    }
+
+    /**
+     * Turns the rows of a CSV file into objects, keyed by the column names in the header row.
+     * @method toRecords
+     * @param  {Array} rows Rows of the CSV file, starting with the header row.
+     * @return {Array}      Array of records.
+     */
+    function toRecords(rows) {
+        var header  = rows[0] || [],
+            records = [],
+            record;
+
+        for (var i = 1; i < rows.length; i++) {
+            record = {};
+            for (var j = 0; j < header.length; j++) {
+                record[header[j]] = rows[i][j] === undefined ? '' : rows[i][j];
+            }
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * @method number
+     * @param  {String} value A field from the CSV file.
+     * @return {float}        The field as a number, or NaN if it is empty.
+     */
+    function number(value) {
+        return value === '' || value === undefined ? NaN : parseFloat(value);
+    }
+
+    /**
+     * Picks a colour for a star, based on its effective temperature.
+     * @method starColor
+     * @param  {float}  temperature Effective temperature (in Kelvin), or NaN if unknown.
+     * @return {String}             CSS colour.
+     */
+    function starColor(temperature) {
+        if (temperature < 3700) {
+            return '#ff9d5c';   // M dwarf
+        }
+        if (temperature < 5200) {
+            return '#ffc680';   // K
+        }
+        if (temperature < 6000 || isNaN(temperature)) {
+            return '#fff0c0';   // G, like the Sun
+        }
+        if (temperature < 7500) {
+            return '#fffaf0';   // F
+        }
+        return '#cad7ff';       // A and hotter
+    }
+
+    /**
+     * Picks a kind of procedural texture for a planet, based on its size.
+     * @method planetSurface
+     * @param  {float}  earthRadii Radius of the planet (in Earth radii).
+     * @return {Object}            ProceduralTexture settings.
+     */
+    function planetSurface(earthRadii) {
+        if (earthRadii < 1.6) {
+            return { type: 'rocky' };
+        }
+        if (earthRadii < 4) {
+            // mini-Neptune
+            return { type: 'gasGiant', palette: ['#4f7394', '#7fa6c9', '#b5d0e6'] };
+        }
+        return { type: 'gasGiant' };
+    }
+
+    /**
+     * Converts a planet's record into an AstronomicalObject config. A missing semi-major axis or period is worked out from the other one using Kepler's third law.
+     * @method createPlanet
+     * @param  {Object} record   The planet's record from the CSV file.
+     * @param  {float}  starMass Mass of the host star (in solar masses).
+     * @return {Object}          AstronomicalObject config (plus an id), or null if the orbit can't be worked out.
+     */
+    function createPlanet(record, starMass) {
+        var semiMajorAxis = number(record.pl_orbsmax),     // AU
+            period        = number(record.pl_orbper),      // days
+            radius        = number(record.pl_rade),        // Earth radii
+            mass          = number(record.pl_bmasse),      // Earth masses
+            eccentricity  = number(record.pl_orbeccen);
+
+        if (isNaN(semiMajorAxis) && !isNaN(period)) {
+            semiMajorAxis = Math.pow(Math.pow(period / daysPerYear, 2) * starMass, 1 / 3);
+        }
+        else if (isNaN(period) && !isNaN(semiMajorAxis)) {
+            period = Math.sqrt(Math.pow(semiMajorAxis, 3) / starMass) * daysPerYear;
+        }
+
+        if (!(semiMajorAxis > 0) || !(period > 0)) {
+            return null;
+        }
+
+        radius = radius > 0 ? radius : 1;
+
+        return {
+            id:            record.pl_name,
+            name:          record.pl_name,
+            orbits:        'star',
+            orbitDistance: semiMajorAxis * milesPerAstronomicalUnit,
+            orbitalPeriod: period,
+            eccentricity:  eccentricity >= 0 && eccentricity < 1 ? eccentricity : 0,
+            spinPeriod:    period,      // planets this close to their stars are usually tidally locked
+            radius:        radius * milesPerEarthRadius,
+            mass:          mass > 0 ? mass * kgPerEarthMass : 0,
+            procedural:    planetSurface(radius)
+        };
+    }
+
+    /**
+     * Converts the records for one host star into a scene description.
+     * @method createSystem
+     * @param  {String} hostname Name of the host star.
+     * @param  {Array}  records  Records of the planets orbiting it.
+     * @return {Object}          Scene description, as accepted by SceneLoader.build().
+     */
+    function createSystem(hostname, records) {
+        var starRadius = number(records[0].st_rad),
+            starMass   = number(records[0].st_mass),
+            planets    = [],
+            planet;
+
+        starMass = starMass > 0 ? starMass : 1;
+
+        for (var i = 0; i < records.length; i++) {
+            planet = createPlanet(records[i], starMass);
+            if (planet) {
+                planets.push(planet);
+            }
+        }
+
+        planets.sort(function (a, b) {
+            return a.orbitDistance - b.orbitDistance;
+        });
+
+        for (i = 0; i < planets.length && i < 9; i++) {
+            planets[i].shortcutKey = String(i + 1);
+        }
+
+        return {
+            name:   hostname,
+            skybox: {
+                texture: 'textures/galaxy.jpg'
+            },
+            bodies: [
+                {
+                    id:          'star',
+                    name:        hostname,
+                    spinPeriod:  25,
+                    radius:      (starRadius > 0 ? starRadius : 1) * milesPerSolarRadius,
+                    mass:        starMass * kgPerSolarMass,
+                    color:       starColor(number(records[0].st_teff)),
+                    material:    { type: 'unlit' },
+                    star:        true
+                }
+            ].concat(planets)
+        };
+    }
+
+    /**
+     * Imports planetary systems from CSV files in the column layout of the NASA Exoplanet Archive (https://exoplanetarchive.ipac.caltech.edu/), so that they can be shown alongside (or instead of) the Solar System.
+     *
+     * The following columns are used: hostname, pl_name, st_rad (solar radii), st_mass (solar masses), st_teff (K), pl_rade (Earth radii), pl_bmasse (Earth masses), pl_orbsmax (AU), pl_orbper (days) and pl_orbeccen. Only hostname, pl_name and one of pl_orbsmax or pl_orbper are required. If there is a default_flag column, only the default set of parameters for each planet is used.
+     *
+     * Inclinations in the archive are measured against the plane of the sky rather than the plane of the system, so every orbit is imported in the same plane. The bodies have no texture images, so stars are coloured according to their temperature, and planets are given procedural textures according to their size.
+     *
+     * @class ExoplanetImporter
+     */
+    return {
+
+        /**
+         * Parses a CSV file into scene descriptions, one per host star.
+         * @method parse
+         * @param  {String} csv Contents of the CSV file.
+         * @return {Array}      Scene descriptions, as accepted by SceneLoader.build(), in the order the host stars appear in the file.
+         */
+        parse: function (csv) {
+            var records   = toRecords(parseCSV(csv)),
+                hostnames = [],
+                byHost    = {},
+                seen      = {},
+                record;
+
+            for (var i = 0; i < records.length; i++) {
+                record = records[i];
+
+                if (!record.hostname || !record.pl_name || seen[record.pl_name] || (record.default_flag !== undefined && record.default_flag !== '1')) {
+                    continue;
+                }
+                seen[record.pl_name] = true;
+
+                if (!byHost[record.hostname]) {
+                    byHost[record.hostname] = [];
+                    hostnames.push(record.hostname);
+                }
+                byHost[record.hostname].push(record);
+            }
+
+            return hostnames.map(function (hostname) {
+                return createSystem(hostname, byHost[hostname]);
+            }).filter(function (system) {
+                // the star is always there, so a system needs more than one body to have any planets
+                return system.bodies.length > 1;
+            });
+        }
+    };
+});
\ No newline at end of file
@@ -1,13 +1,13 @@
 /**
  * @module GL
  */
-define(function () {
+define(['glUtils'], function (WebGLUtils) {
 
     var canvas = document.getElementById('canvas_solar_system'),
         gl = null;
 
     /**
-     * Does some initial checking for WebGL support, before defining the cross-module variable `gl`.
+     * Does some initial checking for WebGL support, before defining the cross-module variable `gl`. A WebGL 2 context is used if the browser supports one, otherwise a WebGL 1 context - see Capabilities for what each one can do. If neither can be created, WebGLUtils replaces the canvas with a message explaining why, and the module fails to load, so that nothing which needs the context is started.
      * @constructor
      * @class GL
      * @method initWebGL
@@ -15,18 +15,22 @@ define(function () {
      */
     function initWebGL(canvas) {
 
-        var msg = 'Your browser does not support WebGL, ' + 'or it is not enabled by default.';
-
         try {
-            gl = canvas.getContext('experimental-webgl');
-            gl.viewport(0, 0, canvas.width, canvas.height);
+            gl = canvas.getContext('webgl2');
         } catch (e) {
-            msg = 'Error creating WebGL Context!: ' + e.toString();
+            gl = null;
         }
 
         if (!gl) {
-            console.log(msg);
+            // tries the WebGL 1 context names in turn, and shows the failure message if none of them work
+            gl = WebGLUtils.setupWebGL(canvas);
         }
+
+        if (!gl) {
+            throw new Error('Your browser does not support WebGL, or it is not enabled by default.');
+        }
+
+        gl.viewport(0, 0, canvas.width, canvas.height);
     }
 
     initWebGL(canvas);
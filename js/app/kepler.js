@@ -0,0 +1,99 @@
+/**
+ * @module Kepler
+ */
+define(function () {
+
+    var tolerance     = 1e-10,
+        maxIterations = 50;
+
+    /**
+     * Solves Kepler's equation (M = E - e sin E) for the eccentric anomaly, using Newton-Raphson iteration.
+     * @method solveKeplersEquation
+     * @param  {float} meanAnomaly  Mean anomaly (in radians).
+     * @param  {float} eccentricity Eccentricity of the orbit (0 <= e < 1).
+     * @return {float}              Eccentric anomaly (in radians).
+     */
+    function solveKeplersEquation(meanAnomaly, eccentricity) {
+        var M = normaliseAngle(meanAnomaly),
+            E = eccentricity < 0.8 ? M : Math.PI, // starting from PI converges reliably for highly eccentric orbits
+            delta;
+
+        for (var i = 0; i < maxIterations; i++) {
+            delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < tolerance) {
+                break;
+            }
+        }
+
+        return E;
+    }
+
+    /**
+     * Wraps an angle into the range -PI to PI.
+     * @method normaliseAngle
+     * @param  {float} angle Angle (in radians).
+     * @return {float}       Equivalent angle between -PI and PI.
+     */
+    function normaliseAngle(angle) {
+        var fullCircle = Math.PI * 2;
+        angle = angle % fullCircle;
+        if (angle > Math.PI) {
+            angle -= fullCircle;
+        }
+        else if (angle < -Math.PI) {
+            angle += fullCircle;
+        }
+        return angle;
+    }
+
+    /**
+     * Calculates the position of an orbiting body relative to the body it orbits.
+     *
+     * The orbit is first solved in its own plane (x towards periapsis), then rotated by the argument of periapsis, the inclination and the longitude of the ascending node into ecliptic co-ordinates. Finally the ecliptic axes are mapped onto the scene's axes, where Y is "up" (ecliptic north) so that orbits lie in the X-Z plane.
+     *
+     * @method positionAt
+     * @param  {Object} elements                          The orbital elements.
+     * @param  {float}  elements.semiMajorAxis            Semi-major axis, in any unit of distance - AstronomicalObject passes miles, and scales the result into scene units afterwards.
+     * @param  {float}  elements.eccentricity             Eccentricity.
+     * @param  {float}  elements.inclination              Inclination (in radians).
+     * @param  {float}  elements.longitudeOfAscendingNode Longitude of the ascending node (in radians).
+     * @param  {float}  elements.argumentOfPeriapsis      Argument of periapsis (in radians).
+     * @param  {float}  meanAnomaly                       Mean anomaly (in radians) at the moment we're interested in.
+     * @return {Array}                                    X, Y, Z offset from the body being orbited, in the unit of the semi-major axis.
+     */
+    function positionAt(elements, meanAnomaly) {
+        var a = elements.semiMajorAxis,
+            e = elements.eccentricity,
+            E = solveKeplersEquation(meanAnomaly, e),
+
+            // position within the orbital plane
+            xOrbit = a * (Math.cos(E) - e),
+            yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E),
+
+            cosNode        = Math.cos(elements.longitudeOfAscendingNode),
+            sinNode        = Math.sin(elements.longitudeOfAscendingNode),
+            cosPeriapsis   = Math.cos(elements.argumentOfPeriapsis),
+            sinPeriapsis   = Math.sin(elements.argumentOfPeriapsis),
+            cosInclination = Math.cos(elements.inclination),
+            sinInclination = Math.sin(elements.inclination),
+
+            // ecliptic co-ordinates
+            x = (cosNode * cosPeriapsis - sinNode * sinPeriapsis * cosInclination) * xOrbit +
+                (-cosNode * sinPeriapsis - sinNode * cosPeriapsis * cosInclination) * yOrbit,
+            y = (sinNode * cosPeriapsis + cosNode * sinPeriapsis * cosInclination) * xOrbit +
+                (-sinNode * sinPeriapsis + cosNode * cosPeriapsis * cosInclination) * yOrbit,
+            z = (sinPeriapsis * sinInclination) * xOrbit +
+                (cosPeriapsis * sinInclination) * yOrbit;
+
+        return [x, z, -y];
+    }
+
+    /**
+     * @class Kepler
+     */
+    return {
+        solveKeplersEquation: solveKeplersEquation,
+        positionAt:           positionAt
+    };
+});
\ No newline at end of file
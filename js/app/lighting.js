@@ -1,19 +1,33 @@
 /**
  * @module Lighting
  */
-define(['gl', 'glMatrix', 'shaders'], function (gl, glMatrix, shaderProgram) {
+define(['gl'], function (gl) {
+
+    var light = null;
 
     /**
-     * Prepares the canvas for drawing lighting by grabbing the lighting parameters from the GUI.
+     * Prepares the canvas for drawing lighting by grabbing the lighting parameters from the GUI. They're read once per frame, and then applied to each shader program as it is used.
      * @method prepareLighting
      */
     function prepareLighting() {
-        gl.uniform3f(
-            shaderProgram.ambientColorUniform,
-            getInput('ambientR'),
-            getInput('ambientG'),
-            getInput('ambientB')
-        );
+        light = {
+            ambientColor:  [getInput('ambientR'), getInput('ambientG'), getInput('ambientB')],
+            specularColor: [getInput('pointRSpecular'), getInput('pointGSpecular'), getInput('pointBSpecular')],
+            diffuseColor:  [getInput('pointRDiffuse'), getInput('pointGDiffuse'), getInput('pointBDiffuse')]
+        };
+    }
+
+    /**
+     * Sets the lighting uniforms of a shader program, from the parameters grabbed by prepareLighting().
+     * @method applyLighting
+     * @param {Object} shaderProgram The program in use.
+     */
+    function applyLighting(shaderProgram) {
+        if (!light) {
+            prepareLighting();
+        }
+
+        gl.uniform3fv(shaderProgram.ambientColorUniform, light.ambientColor);
 
         gl.uniform3f(
             shaderProgram.pointLightingLocationUniform,
@@ -21,19 +35,8 @@ define(['gl', 'glMatrix', 'shaders'], function (gl, glMatrix, shaderProgram) {
             0, 0, 0
         );
 
-        gl.uniform3f(
-            shaderProgram.pointLightingSpecularColorUniform,
-            getInput('pointRSpecular'),
-            getInput('pointGSpecular'),
-            getInput('pointBSpecular')
-        );
-
-        gl.uniform3f(
-            shaderProgram.pointLightingDiffuseColorUniform,
-            getInput('pointRDiffuse'),
-            getInput('pointGDiffuse'),
-            getInput('pointBDiffuse')
-        );
+        gl.uniform3fv(shaderProgram.pointLightingSpecularColorUniform, light.specularColor);
+        gl.uniform3fv(shaderProgram.pointLightingDiffuseColorUniform, light.diffuseColor);
     }
 
     /**
@@ -57,6 +60,12 @@ define(['gl', 'glMatrix', 'shaders'], function (gl, glMatrix, shaderProgram) {
          */
         prepare: prepareLighting,
 
+        /**
+         * Alias for applyLighting().
+         * @method apply
+         */
+        apply: applyLighting,
+
         /**
          * Gets the shininess parameter from the GUI (used for Phong shading)
          * @method  getShininess
@@ -0,0 +1,103 @@
+/**
+ * @module LoadingIndicator
+ */
+define(['asset_loader'], function (assetLoader) {
+
+    var problemDisplayTime = 8000,  // milliseconds to keep showing failed downloads once everything has finished
+        container,
+        summary,
+        bar,
+        list,
+        hideTimer;
+
+    var statusDescriptions = {
+        loading:  'downloading',
+        loaded:   'done',
+        fallback: 'failed - using a fallback texture',
+        failed:   'failed'
+    };
+
+    /**
+     * Updates the indicator to show the progress of every download.
+     * @method render
+     * @param  {Array} assets The assets being tracked by the AssetLoader.
+     */
+    function render(assets) {
+        var finished = 0,
+            problems = 0,
+            html     = '',
+            asset;
+
+        for (var i = 0; i < assets.length; i++) {
+            asset = assets[i];
+            if (asset.status !== 'loading') {
+                finished++;
+            }
+            if (asset.status === 'fallback' || asset.status === 'failed') {
+                problems++;
+            }
+            html += '<li class="webgl_solarsystem_loading__asset webgl_solarsystem_loading__asset--' + asset.status + '">' +
+                asset.url + ': ' + statusDescriptions[asset.status] +
+                (asset.status === 'loading' && asset.attempts > 1 ? ' (attempt ' + asset.attempts + ')' : '') +
+                (asset.error ? ' (' + asset.error.message + ')' : '') +
+                '</li>';
+        }
+
+        summary.innerHTML = 'Downloading textures: ' + finished + ' of ' + assets.length;
+        bar.style.width = (assets.length ? 100 * finished / assets.length : 100) + '%';
+        list.innerHTML = html;
+
+        clearTimeout(hideTimer);
+        if (finished < assets.length) {
+            container.style.display = '';
+        }
+        else if (problems) {
+            summary.innerHTML = problems + ' of ' + assets.length + ' textures could not be downloaded';
+            hideTimer = setTimeout(hide, problemDisplayTime);
+        }
+        else {
+            hide();
+        }
+    }
+
+    /**
+     * @method hide
+     */
+    function hide() {
+        container.style.display = 'none';
+    }
+
+    /**
+     * Shows the progress of each texture download (see AssetLoader) over the canvas, including any which have failed. It reappears whenever new downloads start, e.g. when a different scene is loaded.
+     * @class LoadingIndicator
+     */
+    return {
+
+        /**
+         * Creates the indicator.
+         * @method init
+         * @param  {DOMElement} parent Document element to insert the indicator in.
+         */
+        init: function (parent) {
+            var track = document.createElement('DIV');
+
+            container = document.createElement('DIV');
+            summary   = document.createElement('P');
+            bar       = document.createElement('DIV');
+            list      = document.createElement('UL');
+
+            container.id    = 'webgl_solarsystem_loading';
+            track.className = 'webgl_solarsystem_loading__track';
+            bar.className   = 'webgl_solarsystem_loading__bar';
+
+            container.appendChild(summary);
+            container.appendChild(track);
+            track.appendChild(bar);
+            container.appendChild(list);
+            parent.appendChild(container);
+
+            assetLoader.onProgress(render);
+            render(assetLoader.getAssets());
+        }
+    };
+});
\ No newline at end of file
@@ -0,0 +1,355 @@
+/**
+ * @module Material
+ */
+define(['gl', 'shaders', 'shader_library', 'lighting', 'buffers', 'asset_loader', 'text!shader__vertex.shader', 'text!shader__unlit_vertex.shader', 'text!shader__unlit_fragment.shader', 'text!shader__atmosphere_fragment.shader'], function (gl, shaders, shaderLibrary, lighting, buffers, assetLoader, vertexShaderCode, unlitVertexShaderCode, unlitFragmentShaderCode, atmosphereFragmentShaderCode) {
+
+    /**
+     * The kinds of material. Each has a function returning the program an object is drawn with, and may have:
+     *
+     * - pass: 'opaque' or 'translucent'. Without one, objects which are less than fully opaque are translucent.
+     * - blending: 'none', 'alpha' or 'additive'. Without one, translucent objects are alpha blended.
+     * - textured: false if the program doesn't sample the object's texture, so that it needn't be downloaded.
+     * - defaults: values for the settings of the material which aren't in its config.
+     * - prepare: sets the uniforms shared by everything drawn with the program, once per batch.
+     * - setUniforms: sets the uniforms of a single object.
+     *
+     * @property types
+     * @type {Object}
+     */
+    var types = {
+        phong: {
+            program: function (material, object) {
+                return shaders.get(object.getShaderDefines());
+            },
+            prepare: prepareLighting,
+            setUniforms: setShininess
+        },
+        unlit: {
+            program: getUnlitProgram,
+            defaults: { color: '#ffffff' },
+            setUniforms: setEmissiveColor
+        },
+        ring: {
+            program: getUnlitProgram,
+            pass: 'translucent',
+            blending: 'additive',
+            defaults: { color: '#ffffff' },
+            setUniforms: setEmissiveColor
+        },
+        atmosphere: {
+            program: function () {
+                return shaderLibrary.getProgram(
+                    { file: 'shader__vertex.shader', source: vertexShaderCode },
+                    { file: 'shader__atmosphere_fragment.shader', source: atmosphereFragmentShaderCode }
+                );
+            },
+            pass: 'translucent',
+            blending: 'additive',
+            textured: false,
+            defaults: { color: '#7fb2ff', falloff: 3 },
+            prepare: prepareLighting,
+            setUniforms: function (material, object, program) {
+                gl.uniform3fv(program.atmosphereColorUniform, material.color);
+                gl.uniform1f(program.atmosphereFalloffUniform, material.falloff);
+            }
+        },
+        custom: {
+            program: function (material, object) {
+                if (!material.vertexShader) {
+                    // the GLSL is still downloading
+                    return types.phong.program(material, object);
+                }
+                return shaderLibrary.getProgram(material.vertexShader, material.fragmentShader, material.defines);
+            },
+            prepare: prepareLighting,
+            setUniforms: function (material, object, program) {
+                setShininess(material, object, program);
+                Object.keys(material.uniforms).forEach(function (name) {
+                    var value    = material.uniforms[name],
+                        location = program.uniformLocations[name];
+
+                    // uniforms the compiler has optimised away have no location
+                    if (location) {
+                        gl['uniform' + value.length + 'fv'](location, value);
+                    }
+                });
+            }
+        }
+    };
+
+    /**
+     * @method getUnlitProgram
+     * @return {Object} The program of the unlit and ring materials.
+     */
+    function getUnlitProgram() {
+        return shaderLibrary.getProgram(
+            { file: 'shader__unlit_vertex.shader', source: unlitVertexShaderCode },
+            { file: 'shader__unlit_fragment.shader', source: unlitFragmentShaderCode }
+        );
+    }
+
+    /**
+     * Sets the lighting uniforms of a program, from the GUI - see Lighting.
+     * @method prepareLighting
+     * @param {Material} material The material.
+     * @param {Object}   program  The program in use.
+     */
+    function prepareLighting(material, program) {
+        gl.uniform1i(program.showSpecularHighlightsUniform, true);
+        lighting.apply(program);
+    }
+
+    /**
+     * Sets the shininess of the object, which comes from the GUI unless the material has its own.
+     * @method setShininess
+     * @param {Material}           material The material.
+     * @param {AstronomicalObject} object   The object being drawn.
+     * @param {Object}             program  The program in use.
+     */
+    function setShininess(material, object, program) {
+        gl.uniform1f(program.materialShininessUniform, material.shininess !== undefined ? material.shininess : lighting.getShininess());
+    }
+
+    /**
+     * @method setEmissiveColor
+     * @param {Material}           material The material.
+     * @param {AstronomicalObject} object   The object being drawn.
+     * @param {Object}             program  The program in use.
+     */
+    function setEmissiveColor(material, object, program) {
+        gl.uniform3fv(program.emissiveColorUniform, material.color);
+    }
+
+    /**
+     * Converts a CSS colour into the RGB values of a vec3 uniform, by letting a canvas parse it.
+     * @method parseColor
+     * @param  {String} color     CSS colour, e.g. '#7fb2ff', '#fff' or 'red'.
+     * @param  {String} fallback  CSS colour to use instead if the colour can't be parsed.
+     * @param  {float}  intensity Factor to scale the colour by.
+     * @return {Array}            Red, green and blue - between 0 and 1, before they're scaled.
+     */
+    function parseColor(color, fallback, intensity) {
+        var context = document.createElement('CANVAS').getContext('2d'),
+            parsed  = [];
+
+        // an invalid colour leaves the fill style as it was, so it is only valid if it replaces both of two different ones
+        ['#000000', '#ffffff'].forEach(function (previous) {
+            context.fillStyle = previous;
+            context.fillStyle = color;
+            parsed.push(context.fillStyle);
+        });
+        if (parsed[0] !== parsed[1]) {
+            context.fillStyle = fallback;
+        }
+        context.fillRect(0, 0, 1, 1);
+
+        return Array.prototype.slice.call(context.getImageData(0, 0, 1, 1).data, 0, 3).map(function (value) {
+            return value / 255 * intensity;
+        });
+    }
+
+    /**
+     * Checks the uniforms of a custom material, so that a mistake in the scene file is reported when the scene is loaded rather than in the middle of drawing.
+     * @method parseUniforms
+     * @param  {Object} uniforms Values of float (or vec2, vec3, vec4) uniforms, keyed by their names in the GLSL.
+     * @return {Object}          The same values, each as an array of 1 to 4 numbers.
+     */
+    function parseUniforms(uniforms) {
+        var parsed = {};
+
+        Object.keys(uniforms).forEach(function (name) {
+            var value = [].concat(uniforms[name]);
+
+            if (value.length < 1 || value.length > 4 || value.some(function (component) { return typeof component !== 'number'; })) {
+                throw new Error('Material uniform "' + name + '" should be a number, or an array of 2 to 4 numbers.');
+            }
+            parsed[name] = value;
+        });
+
+        return parsed;
+    }
+
+    /**
+     * A Material decides how an AstronomicalObject is drawn: which program draws it, the uniforms it is drawn with, and whether (and how) it is blended with what is behind it. Every object has its own, declared by the `material` entry of its config, e.g. `{ type: 'unlit' }` for a star. Objects are drawn in batches, by pass and then by program - see Renderer.
+     *
+     * The types of material are:
+     *
+     * - phong: lit by the Sun, with any specular, normal, bump and night maps the object has - see Shaders.
+     * - unlit: shows the texture as it is, e.g. for a star or the skybox.
+     * - ring: unlit, and added to what is behind it, so that the dark parts of the texture are see-through.
+     * - atmosphere: a glow around the limb of a body, strongest on the side facing the Sun. It doesn't use the object's texture.
+     * - custom: drawn with GLSL downloaded from the given URLs. The shaders can `#include` the ShaderLibrary's chunks, and are given the same attributes and uniforms as the Phong shader, as well as the material's own uniforms.
+     *
+     * @class Material
+     * @constructor
+     * @param {Object} config                Settings of the material.
+     * @param {String} config.type           One of the types above. Defaults to 'phong'.
+     * @param {float}  config.shininess      Only used by phong and custom materials. Defaults to the shininess set in the GUI.
+     * @param {String} config.color          Only used by unlit, ring and atmosphere materials: CSS colour the texture is multiplied by, or the colour of the atmosphere.
+     * @param {float}  config.intensity      Factor to brighten (or dim) the colour by. Defaults to 1.
+     * @param {float}  config.falloff        Only used by atmosphere materials: the higher it is, the more tightly the glow hugs the limb. Defaults to 3.
+     * @param {String} config.vertexShader   Only used by custom materials: URL of the GLSL of the vertex shader.
+     * @param {String} config.fragmentShader Only used by custom materials: URL of the GLSL of the fragment shader.
+     * @param {Object} config.defines        Only used by custom materials: defines for both shaders - see ShaderLibrary.createProgram().
+     * @param {Object} config.uniforms       Only used by custom materials: values of float (or vec2, vec3, vec4) uniforms, keyed by their names in the GLSL.
+     * @param {String} config.pass           'opaque' or 'translucent', overriding the type's.
+     * @param {String} config.blending       'none', 'alpha' or 'additive', overriding the type's.
+     */
+    var Material = function (config) {
+        var type = types[config.type || 'phong'],
+            defaults;
+
+        if (!type) {
+            throw new Error('Unknown material type "' + config.type + '". Use one of: ' + Object.keys(types).join(', ') + '.');
+        }
+        defaults = type.defaults || {};
+
+        this.type      = type;
+        this.shininess = config.shininess;
+        this.color     = parseColor(config.color || defaults.color || '#ffffff', defaults.color || '#ffffff', config.intensity !== undefined ? config.intensity : 1);
+        this.falloff   = config.falloff || defaults.falloff;
+        this.defines   = config.defines || {};
+        this.uniforms  = parseUniforms(config.uniforms || {});
+        this.pass      = config.pass || type.pass;
+        this.blending  = config.blending || type.blending;
+
+        if (type === types.custom) {
+            this.loadShaders(config.vertexShader, config.fragmentShader);
+        }
+    };
+
+    Material.prototype = {
+
+        /**
+         * Downloads the GLSL of a custom material. If either shader can't be downloaded, the object is drawn with the Phong shader instead.
+         * @method loadShaders
+         * @param {String} vertexUrl   URL of the vertex shader.
+         * @param {String} fragmentUrl URL of the fragment shader.
+         */
+        loadShaders: function (vertexUrl, fragmentUrl) {
+            var self = this;
+
+            this.whenReady = Promise.all([assetLoader.loadText(vertexUrl), assetLoader.loadText(fragmentUrl)]).then(function (sources) {
+                self.vertexShader   = { file: vertexUrl, source: sources[0] };
+                self.fragmentShader = { file: fragmentUrl, source: sources[1] };
+            }, function () {
+                // the LoadingIndicator shows the failed download, and the object stays on the Phong program
+            });
+        },
+
+        /**
+         * Resolves once the material can be drawn with, i.e. once any GLSL it needs has downloaded (or failed).
+         * @property whenReady
+         * @type {Promise}
+         */
+        whenReady: Promise.resolve(),
+
+        /**
+         * The vertex shader of a custom material, once it has downloaded: its `source`, and the URL it came from as its `file`.
+         * @property vertexShader
+         * @type {Object}
+         * @default null
+         */
+        vertexShader: null,
+
+        /**
+         * The fragment shader of a custom material, once it has downloaded.
+         * @property fragmentShader
+         * @type {Object}
+         * @default null
+         */
+        fragmentShader: null,
+
+        /**
+         * @method isTextured
+         * @return {Boolean} False if the material doesn't use the object's texture.
+         */
+        isTextured: function () {
+            return this.type.textured !== false;
+        },
+
+        /**
+         * @method getProgram
+         * @param  {AstronomicalObject} object The object being drawn.
+         * @return {Object}                    The program to draw the object with. Objects with the same material type can still need different programs, e.g. Phong shaders for different texture maps.
+         */
+        getProgram: function (object) {
+            return this.type.program(this, object);
+        },
+
+        /**
+         * @method getPass
+         * @param  {AstronomicalObject} object The object being drawn.
+         * @return {String}                    'opaque' if the object should be drawn along with the other opaque objects, or 'translucent' if it should be drawn after them, blended with them and without hiding anything drawn after it.
+         */
+        getPass: function (object) {
+            return this.pass || (object.opacity < 1 ? 'translucent' : 'opaque');
+        },
+
+        /**
+         * @method getBlending
+         * @param  {AstronomicalObject} object The object being drawn.
+         * @return {String}                    'none', 'alpha' or 'additive'.
+         */
+        getBlending: function (object) {
+            return this.blending || (this.getPass(object) === 'translucent' ? 'alpha' : 'none');
+        },
+
+        /**
+         * Sets the uniforms shared by every object drawn with the program, e.g. the lighting. This is called once for each batch of objects drawn with the same program, before any of them are drawn.
+         * @method prepare
+         * @param {Object} program The program in use.
+         */
+        prepare: function (program) {
+            if (this.type.prepare) {
+                this.type.prepare(this, program);
+            }
+        },
+
+        /**
+         * Draws an object. The program should already be in use, and prepared (see prepare()).
+         * @method draw
+         * @param {AstronomicalObject} object           The object.
+         * @param {Object}             program          The program in use, from getProgram().
+         * @param {Array}              projectionMatrix glMatrix object (mat4) representing projection of the camera.
+         */
+        draw: function (object, program, projectionMatrix) {
+            var translucent = this.getPass(object) === 'translucent',
+                blending    = this.getBlending(object);
+
+            object.setupMatrices(program, projectionMatrix);
+            object.setupTexture(program);
+            gl.uniform1f(program.alphaUniform, object.opacity);
+            if (this.type.setUniforms) {
+                this.type.setUniforms(this, object, program);
+            }
+
+            gl.enable(gl.DEPTH_TEST);
+            if (blending === 'none') {
+                gl.disable(gl.BLEND);
+            }
+            else {
+                gl.blendFunc(gl.SRC_ALPHA, blending === 'additive' ? gl.ONE : gl.ONE_MINUS_SRC_ALPHA);
+                gl.enable(gl.BLEND);
+            }
+            if (translucent) {
+                // drawn after the opaque objects, so it mustn't hide any other translucent object drawn after it
+                gl.depthMask(false);
+                if (object.spherical) {
+                    // the sphere's triangles wind clockwise when seen from outside, so the far side is culled as the front face
+                    gl.enable(gl.CULL_FACE);
+                    gl.cullFace(gl.FRONT);
+                }
+            }
+
+            buffers.drawElements(object, program);
+
+            if (translucent) {
+                gl.disable(gl.CULL_FACE);
+                gl.depthMask(true);
+            }
+        }
+    };
+
+    return Material;
+});
\ No newline at end of file
@@ -0,0 +1,262 @@
+/**
+ * @module NBody
+ */
+define(['glMatrix'], function (glMatrix) {
+
+    var gravitationalConstant = 6.674e-11 * (86400 * 86400) / Math.pow(1609.344, 3),   // in miles^3 / (kg * day^2)
+        softening          = 1000,  // (in miles) stops the force between two bodies tending to infinity if they collide
+        maxStep            = 0.02,  // (in days) small enough to keep Io, the fastest moon, on a stable orbit
+        maxStepsPerUpdate  = 5000,  // beyond this, the step size grows rather than the frame rate dropping
+        reseedThreshold    = 365,   // (in days) jumps bigger than this restart the simulation from the kinematic orbits
+        enabled            = false,
+        bodies             = [],
+        removedBodies      = [],
+        simulatedUntil     = 0;
+
+    /**
+     * Calculates the starting state of the given object (and everything orbiting it) from its kinematic orbit. The speed is taken from the vis-viva equation rather than from the orbital period, so that each orbit is consistent with the masses of the bodies involved.
+     * @method seedFromOrbit
+     * @param  {AstronomicalObject} body        The object to seed.
+     * @param  {Object}             parentState Position and velocity of the object it orbits (in miles and miles per day).
+     * @param  {float}              t           Number of days since the J2000 epoch.
+     */
+    function seedFromOrbit(body, parentState, t) {
+        var position = glMatrix.vec3.create(),
+            velocity = glMatrix.vec3.create();
+
+        if (body.orbits) {
+            var offset = body.calculateOrbitalPosition(t),
+                h      = body.orbitalPeriod / 10000,
+                delta  = glMatrix.vec3.subtract([], body.calculateOrbitalPosition(t + h), body.calculateOrbitalPosition(t - h)),
+                speed  = glMatrix.vec3.length(delta) / (2 * h),
+                r      = glMatrix.vec3.length(offset);
+
+            if (body.mass && body.orbits.mass && r) {
+                speed = Math.sqrt(Math.max(0, gravitationalConstant * (body.mass + body.orbits.mass) * (2 / r - 1 / body.orbitDistanceInMiles)));
+            }
+
+            glMatrix.vec3.normalize(delta, delta);
+            glMatrix.vec3.add(position, parentState.position, offset);
+            glMatrix.vec3.scaleAndAdd(velocity, parentState.velocity, delta, speed);
+        }
+
+        if (isRemoved(body)) {
+            // anything orbiting a removed body starts off relative to where it was frozen
+            position = body.physicsState.position;
+        }
+        else if (body.mass > 0) {
+            body.physicsState = {
+                position:     position,
+                velocity:     velocity,
+                acceleration: glMatrix.vec3.create()
+            };
+            bodies.push(body);
+        }
+
+        for (var i = 0; i < body.children.length; i++) {
+            seedFromOrbit(body.children[i], { position: position, velocity: velocity }, t);
+        }
+    }
+
+    /**
+     * @method isRemoved
+     * @param  {AstronomicalObject} body The object to check.
+     * @return {Boolean}                 True if the object has been removed from the simulation.
+     */
+    function isRemoved(body) {
+        return !!(body.physicsState && body.physicsState.removed);
+    }
+
+    /**
+     * @method isAdded
+     * @param  {AstronomicalObject} body The object to check.
+     * @return {Boolean}                 True if the object was added to the simulation with add(), rather than seeded from an orbit.
+     */
+    function isAdded(body) {
+        return !!(body.physicsState && body.physicsState.added);
+    }
+
+    /**
+     * Removes any overall drift of the system, by giving it a total momentum of zero.
+     * @method removeDrift
+     */
+    function removeDrift() {
+        var momentum  = glMatrix.vec3.create(),
+            totalMass = 0,
+            i;
+
+        for (i = 0; i < bodies.length; i++) {
+            glMatrix.vec3.scaleAndAdd(momentum, momentum, bodies[i].physicsState.velocity, bodies[i].mass);
+            totalMass += bodies[i].mass;
+        }
+
+        for (i = 0; i < bodies.length; i++) {
+            glMatrix.vec3.scaleAndAdd(bodies[i].physicsState.velocity, bodies[i].physicsState.velocity, momentum, -1 / totalMass);
+        }
+    }
+
+    /**
+     * Calculates the gravitational acceleration of every body, due to every other body.
+     * @method updateAccelerations
+     */
+    function updateAccelerations() {
+        var separation = glMatrix.vec3.create(),
+            i, j, a, b, distanceSquared, inverseCube;
+
+        for (i = 0; i < bodies.length; i++) {
+            glMatrix.vec3.set(bodies[i].physicsState.acceleration, 0, 0, 0);
+        }
+
+        for (i = 0; i < bodies.length; i++) {
+            a = bodies[i];
+            for (j = i + 1; j < bodies.length; j++) {
+                b = bodies[j];
+                glMatrix.vec3.subtract(separation, b.physicsState.position, a.physicsState.position);
+                distanceSquared = glMatrix.vec3.squaredLength(separation) + softening * softening;
+                inverseCube = gravitationalConstant / (distanceSquared * Math.sqrt(distanceSquared));
+                glMatrix.vec3.scaleAndAdd(a.physicsState.acceleration, a.physicsState.acceleration, separation, b.mass * inverseCube);
+                glMatrix.vec3.scaleAndAdd(b.physicsState.acceleration, b.physicsState.acceleration, separation, -a.mass * inverseCube);
+            }
+        }
+    }
+
+    /**
+     * Moves the simulation on by one step, using the leapfrog (kick-drift-kick) integrator. This is symplectic, so energy doesn't drift over long runs, and time-reversible, so negative steps retrace the same path.
+     * @method step
+     * @param  {float} dt Size of the step (in days). May be negative.
+     */
+    function step(dt) {
+        var i, state;
+
+        for (i = 0; i < bodies.length; i++) {
+            state = bodies[i].physicsState;
+            glMatrix.vec3.scaleAndAdd(state.velocity, state.velocity, state.acceleration, dt / 2);
+            glMatrix.vec3.scaleAndAdd(state.position, state.position, state.velocity, dt);
+        }
+
+        updateAccelerations();
+
+        for (i = 0; i < bodies.length; i++) {
+            state = bodies[i].physicsState;
+            glMatrix.vec3.scaleAndAdd(state.velocity, state.velocity, state.acceleration, dt / 2);
+        }
+    }
+
+    /**
+     * (Re)starts the simulation from the kinematic orbits of the given objects. Bodies which were added with add() keep their current state.
+     * @method seed
+     * @param  {Array} objects All of the AstronomicalObjects in the scene.
+     * @param  {float} t       Number of days since the J2000 epoch.
+     */
+    function seed(objects, t) {
+        var added = bodies.filter(isAdded);
+
+        bodies = [];
+        for (var i = 0; i < objects.length; i++) {
+            if (!objects[i].orbits && !isAdded(objects[i])) {
+                seedFromOrbit(objects[i], null, t);
+            }
+        }
+        removeDrift();
+        bodies = bodies.concat(added);
+        updateAccelerations();
+        simulatedUntil = t;
+    }
+
+    /**
+     * An optional physics mode, which integrates Newtonian gravity between every object that has a mass, in place of the kinematic orbits. When enabled, each simulated object is given a `physicsState` (position and velocity in miles and miles per day, relative to the barycentre), which AstronomicalObject uses to position itself.
+     * @class NBody
+     */
+    return {
+
+        /**
+         * Switches the physics mode on, seeding it from the current kinematic orbits.
+         * @method enable
+         * @param  {Array} objects All of the AstronomicalObjects in the scene.
+         * @param  {float} t       Number of days since the J2000 epoch.
+         */
+        enable: function (objects, t) {
+            enabled = true;
+            bodies = [];
+            seed(objects, t);
+        },
+
+        /**
+         * Switches the physics mode off, so that objects return to their kinematic orbits.
+         * @method disable
+         */
+        disable: function () {
+            var simulated = bodies.concat(removedBodies);
+
+            enabled = false;
+            for (var i = 0; i < simulated.length; i++) {
+                simulated[i].physicsState = null;
+            }
+            bodies = [];
+            removedBodies = [];
+        },
+
+        /**
+         * @method isEnabled
+         * @return {Boolean} True if the physics mode is switched on.
+         */
+        isEnabled: function () {
+            return enabled;
+        },
+
+        /**
+         * Integrates the simulation up to (or, if the time is earlier, back to) the given moment.
+         * @method advanceTo
+         * @param  {Array} objects All of the AstronomicalObjects in the scene, in case the simulation needs to be re-seeded.
+         * @param  {float} t       Number of days since the J2000 epoch.
+         */
+        advanceTo: function (objects, t) {
+            var delta = t - simulatedUntil,
+                steps = Math.min(maxStepsPerUpdate, Math.ceil(Math.abs(delta) / maxStep));
+
+            if (Math.abs(delta) > reseedThreshold) {
+                seed(objects, t);
+                return;
+            }
+
+            for (var i = 0; i < steps; i++) {
+                step(delta / steps);
+            }
+            simulatedUntil = t;
+        },
+
+        /**
+         * Adds an object to the simulation, e.g. a rogue planet.
+         * @method add
+         * @param {AstronomicalObject} body     The object to add. It must have a mass.
+         * @param {Array}              position X, Y, Z position (in miles) relative to the barycentre.
+         * @param {Array}              velocity X, Y, Z velocity (in miles per day).
+         */
+        add: function (body, position, velocity) {
+            body.physicsState = {
+                position:     position,
+                velocity:     velocity,
+                acceleration: glMatrix.vec3.create(),
+                added:        true
+            };
+            bodies.push(body);
+            updateAccelerations();
+        },
+
+        /**
+         * Removes an object from the simulation, so that it no longer exerts (or feels) any gravity. It is left frozen in place, so that anything drawn relative to it still has a reference point.
+         * @method remove
+         * @param {AstronomicalObject} body The object to remove.
+         */
+        remove: function (body) {
+            var index = bodies.indexOf(body);
+            if (index === -1) {
+                return;
+            }
+            bodies.splice(index, 1);
+            removedBodies.push(body);
+            body.physicsState.removed = true;
+            updateAccelerations();
+        }
+    };
+});
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * @module ProceduralTexture
+ */
+define(['random'], function (random) {
+
+    var width       = 256,  // powers of two, so that mipmaps can be generated
+        height      = 128,
+        latticeSize = 256;  // the noise repeats after this many cells, so no octave can have a higher frequency
+
+    /**
+     * The kinds of surface which can be generated. Each has a default palette (from low values to high), and a function which works out the value of each texel from the noise.
+     * @property types
+     * @type {Object}
+     */
+    var types = {
+        rocky: {
+            palette: ['#3b3631', '#6e655b', '#a39888', '#d1c8ba'],
+            value: function (sample, u, v) {
+                // stretch the contrast, so that there are distinct highlands and lowlands
+                return clamp((sample(u, v, 8, 6) - 0.5) * 1.8 + 0.5);
+            }
+        },
+        icy: {
+            palette: ['#7a5c48', '#a9bccb', '#dce8f0', '#ffffff'],
+            value: function (sample, u, v) {
+                var cracks = Math.pow(1 - Math.abs(2 * sample(u, v + 0.37, 6, 4) - 1), 12);
+                return clamp(0.45 + 0.55 * sample(u, v, 4, 4) - cracks);
+            }
+        },
+        gasGiant: {
+            palette: ['#8c6a4f', '#d8b98f', '#f2e6cf', '#b5835a'],
+            value: function (sample, u, v) {
+                // bands of latitude, distorted by turbulence
+                return 0.5 + 0.5 * Math.sin((v * 7 + sample(u, v, 4, 4) * 1.5) * Math.PI * 2);
+            }
+        },
+        lava: {
+            palette: ['#1a0d08', '#3a1a0e', '#c4410d', '#ffd25a'],
+            value: function (sample, u, v) {
+                var flows = Math.pow(1 - Math.abs(2 * sample(u, v + 0.61, 3, 4) - 1), 8);
+                return clamp(0.3 * sample(u, v, 6, 5) + flows);
+            }
+        }
+    };
+
+    /**
+     * @method clamp
+     * @param  {float} value Value to clamp.
+     * @return {float}       The value, clamped between 0 and 1.
+     */
+    function clamp(value) {
+        return Math.max(0, Math.min(1, value));
+    }
+
+    /**
+     * Creates smoothly interpolated value noise. The noise wraps around horizontally, so that there is no seam where the left and right edges of the texture meet on the sphere.
+     * @method createNoise
+     * @param  {Function} generator Source of random numbers - see Random.createGenerator().
+     * @return {Function}           Takes the x and y co-ordinates (in lattice cells) and the number of cells across the width of the texture, and returns the noise (between 0 and 1) at that point.
+     */
+    function createNoise(generator) {
+        var lattice = new Float32Array(latticeSize * latticeSize);
+
+        for (var i = 0; i < lattice.length; i++) {
+            lattice[i] = generator();
+        }
+
+        function at(x, y, period) {
+            x = ((x % period) + period) % period;
+            y = ((y % latticeSize) + latticeSize) % latticeSize;
+            return lattice[y * latticeSize + x];
+        }
+
+        return function (x, y, period) {
+            var x0 = Math.floor(x),
+                y0 = Math.floor(y),
+                sx = x - x0,
+                sy = y - y0;
+
+            // smoothstep, to hide the lattice
+            sx = sx * sx * (3 - 2 * sx);
+            sy = sy * sy * (3 - 2 * sy);
+
+            return (at(x0, y0, period) * (1 - sx) + at(x0 + 1, y0, period) * sx) * (1 - sy) +
+                (at(x0, y0 + 1, period) * (1 - sx) + at(x0 + 1, y0 + 1, period) * sx) * sy;
+        };
+    }
+
+    /**
+     * Creates a function which sums several octaves of noise (fractal Brownian motion), each twice the frequency and half the strength of the last.
+     * @method createSampler
+     * @param  {Function} noise Noise, from createNoise().
+     * @return {Function}       Takes the texture co-ordinates (u and v, between 0 and 1), the number of cells across the texture in the first octave, and the number of octaves. Returns the result (between 0 and 1).
+     */
+    function createSampler(noise) {
+        return function (u, v, frequency, octaves) {
+            var total     = 0,
+                amplitude = 1,
+                maximum   = 0;
+
+            for (var i = 0; i < octaves && frequency <= latticeSize; i++) {
+                // the texture is twice as wide as it is high, so half as many cells fit vertically
+                total     += noise(u * frequency, v * frequency / 2, frequency) * amplitude;
+                maximum   += amplitude;
+                amplitude /= 2;
+                frequency *= 2;
+            }
+
+            return total / maximum;
+        };
+    }
+
+    /**
+     * Turns a palette into a lookup table of 256 colours, by letting the canvas blend between them (and parse any CSS colour).
+     * @method createLookupTable
+     * @param  {Array} palette CSS colours, from low values to high.
+     * @return {Uint8ClampedArray} RGBA values of 256 colours.
+     */
+    function createLookupTable(palette) {
+        var canvas   = document.createElement('CANVAS'),
+            context  = canvas.getContext('2d'),
+            gradient = context.createLinearGradient(0, 0, 256, 0);
+
+        canvas.width  = 256;
+        canvas.height = 1;
+
+        if (palette.length === 1) {
+            palette = [palette[0], palette[0]];
+        }
+        for (var i = 0; i < palette.length; i++) {
+            gradient.addColorStop(i / (palette.length - 1), palette[i]);
+        }
+
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, 256, 1);
+
+        return context.getImageData(0, 0, 256, 1).data;
+    }
+
+    /**
+     * Generates textures for bodies which don't have a texture image, so that every body can look different without an image file. The textures are built from seeded noise, so a given seed always produces the same texture.
+     * @class ProceduralTexture
+     */
+    return {
+
+        /**
+         * @method getTypes
+         * @return {Array} Names of the kinds of surface which can be generated.
+         */
+        getTypes: function () {
+            return Object.keys(types);
+        },
+
+        /**
+         * Generates a texture.
+         * @method generate
+         * @param  {Object} options         The settings of the texture.
+         * @param  {String} options.type    Kind of surface: 'rocky', 'icy', 'gasGiant' or 'lava'.
+         * @param  {int}    options.seed    Seed of the noise. If not set, one is taken from the (seedable) Random module, so shared links look the same.
+         * @param  {Array}  options.palette CSS colours, from low values to high. Defaults to colours suited to the type.
+         * @return {DOMElement}             A canvas element holding the texture.
+         */
+        generate: function (options) {
+            var type      = types[options.type],
+                seed      = options.seed !== undefined ? options.seed : Math.floor(random.random() * 4294967296),
+                canvas    = document.createElement('CANVAS'),
+                context,
+                sample,
+                colors,
+                image,
+                index,
+                color;
+
+            if (!type) {
+                throw new Error('Unknown procedural texture type "' + options.type + '". Use one of: ' + this.getTypes().join(', ') + '.');
+            }
+
+            sample = createSampler(createNoise(random.createGenerator(seed)));
+            colors = createLookupTable(options.palette && options.palette.length ? options.palette : type.palette);
+
+            canvas.width  = width;
+            canvas.height = height;
+            context = canvas.getContext('2d');
+            image   = context.createImageData(width, height);
+
+            for (var y = 0; y < height; y++) {
+                for (var x = 0; x < width; x++) {
+                    index = (y * width + x) * 4;
+                    color = Math.round(type.value(sample, x / width, y / height) * 255) * 4;
+                    image.data[index]     = colors[color];
+                    image.data[index + 1] = colors[color + 1];
+                    image.data[index + 2] = colors[color + 2];
+                    image.data[index + 3] = 255;
+                }
+            }
+
+            context.putImageData(image, 0, 0);
+
+            return canvas;
+        }
+    };
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * @module Random
+ */
+define(['url_parameters'], function (urlParameters) {
+
+    var seed  = parseInt(urlParameters.get('seed'), 10),
+        state;
+
+    if (isNaN(seed)) {
+        seed = Math.floor(Math.random() * 4294967296);
+        urlParameters.set('seed', seed);
+    }
+
+    state = seed >>> 0;
+
+    /**
+     * Advances a Mulberry32 state.
+     * @method next
+     * @param  {int}   current The current state.
+     * @return {Array}         The new state, and the pseudo-random number (between 0 and 1) it produces.
+     */
+    function next(current) {
+        current = (current + 0x6D2B79F5) >>> 0;
+        var t = current;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return [current, ((t ^ (t >>> 14)) >>> 0) / 4294967296];
+    }
+
+    /**
+     * A seedable alternative to Math.random(), so that a given seed always produces the same sequence of numbers (and therefore the same arrangement of the solar system). Uses the Mulberry32 algorithm.
+     *
+     * The seed is read from the `seed` URL parameter, or picked at random and written to the URL if there isn't one, so that the current page can always be shared as a link which recreates it.
+     *
+     * @class Random
+     */
+    return {
+
+        /**
+         * @method random
+         * @return {float} Pseudo-random number between 0 (inclusive) and 1 (exclusive).
+         */
+        random: function () {
+            var result = next(state);
+            state = result[0];
+            return result[1];
+        },
+
+        /**
+         * Creates an independent sequence, for things which need the same numbers whatever else has used the shared sequence first (e.g. a procedural texture with its own seed).
+         * @method createGenerator
+         * @param  {int}      generatorSeed Seed of the new sequence.
+         * @return {Function}               Returns the next number in the sequence each time it is called, as random() does.
+         */
+        createGenerator: function (generatorSeed) {
+            var generatorState = generatorSeed >>> 0;
+
+            return function () {
+                var result = next(generatorState);
+                generatorState = result[0];
+                return result[1];
+            };
+        },
+
+        /**
+         * @method getSeed
+         * @return {int} The seed the sequence was started from.
+         */
+        getSeed: function () {
+            return seed;
+        }
+    };
+});
\ No newline at end of file
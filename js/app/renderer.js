@@ -0,0 +1,96 @@
+/**
+ * @module Renderer
+ */
+define(['shader_library'], function (shaderLibrary) {
+
+    /**
+     * The passes objects are drawn in - see Material.getPass().
+     * @property passes
+     * @type {Array}
+     */
+    var passes = ['opaque', 'translucent'];
+
+    /**
+     * Lists the objects to draw: every object which isn't hidden, followed by its layers (cloud layers and atmospheres).
+     * @method collectObjects
+     * @param  {Array} objects The AstronomicalObjects of the scene.
+     * @return {Array}         The objects to draw.
+     */
+    function collectObjects(objects) {
+        var collected = [];
+
+        objects.forEach(function (object) {
+            if (!object.hidden) {
+                collected = collected.concat(object, object.getLayers());
+            }
+        });
+
+        return collected;
+    }
+
+    /**
+     * Groups the objects drawn in a pass by the program they're drawn with, so that each program is only switched to (and prepared) once. The groups are in the order their programs are first needed, and the objects keep their order within each group. Objects without a program (because the context has been lost) are left out.
+     * @method batch
+     * @param  {Array}  objects The objects to draw.
+     * @param  {String} pass    'opaque' or 'translucent'.
+     * @return {Array}          The batches. Each has its program, and the objects drawn with it.
+     */
+    function batch(objects, pass) {
+        var batches  = [],
+            programs = [];
+
+        objects.forEach(function (object) {
+            var program, index;
+
+            if (object.material.getPass(object) !== pass) {
+                return;
+            }
+            if (pass === 'translucent' && !object.isReady) {
+                // the texture of a cloud layer or ring says where it is see-through, so it would be a grey shell until it has loaded
+                return;
+            }
+
+            program = object.material.getProgram(object);
+            if (!program) {
+                // the context has been lost, though the event saying so may not have arrived yet - see ShaderLibrary.getProgram()
+                return;
+            }
+            index   = programs.indexOf(program);
+            if (index === -1) {
+                index = programs.push(program) - 1;
+                batches.push({ program: program, objects: [] });
+            }
+            batches[index].objects.push(object);
+        });
+
+        return batches;
+    }
+
+    /**
+     * Draws the objects of the scene, each with its own Material. Opaque objects are drawn first, then translucent ones (e.g. cloud layers, rings and atmospheres), so that they blend with every opaque object behind them. Within each pass, objects are drawn in batches by program.
+     * @class Renderer
+     */
+    return {
+
+        /**
+         * Draws the objects (and their layers).
+         * @method draw
+         * @param {Array} objects          The AstronomicalObjects of the scene.
+         * @param {Array} projectionMatrix glMatrix object (mat4) representing projection of the camera.
+         */
+        draw: function (objects, projectionMatrix) {
+            var collected = collectObjects(objects);
+
+            passes.forEach(function (pass) {
+                batch(collected, pass).forEach(function (next) {
+                    shaderLibrary.use(next.program);
+                    // objects share a program only if their materials are of the same type (or, like unlit and ring, types which prepare it the same way)
+                    next.objects[0].material.prepare(next.program);
+                    next.objects.forEach(function (object) {
+                        object.material.draw(object, next.program, projectionMatrix);
+                    });
+                });
+            });
+        }
+    };
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * @module ResourceRegistry
+ */
+define(['gl'], function (gl) {
+
+    var resources         = [],
+        lostListeners     = [],
+        restoredListeners = [],
+        lost              = false;
+
+    /**
+     * @method notify
+     * @param {Array} listeners Functions to call.
+     */
+    function notify(listeners) {
+        for (var i = 0; i < listeners.length; i++) {
+            listeners[i]();
+        }
+    }
+
+    /**
+     * Stops drawing once the context has been lost. The default behaviour is for the context to stay lost for good, so the event has to be cancelled for it to be restored.
+     * @method handleContextLost
+     * @param {Event} event The webglcontextlost event.
+     */
+    function handleContextLost(event) {
+        event.preventDefault();
+        lost = true;
+        notify(lostListeners);
+    }
+
+    /**
+     * Recreates every registered resource, in the order they were registered, then starts drawing again.
+     * @method handleContextRestored
+     */
+    function handleContextRestored() {
+        lost = false;
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        // copied, as restoring an object can register or unregister others (e.g. its cloud layer)
+        resources.slice().forEach(function (resource) {
+            resource.restore();
+        });
+        notify(restoredListeners);
+    }
+
+    if (gl) {
+        gl.canvas.addEventListener('webglcontextlost', handleContextLost, false);
+        gl.canvas.addEventListener('webglcontextrestored', handleContextRestored, false);
+    }
+
+    /**
+     * Keeps track of everything which holds WebGL resources (the shader program, buffers and textures), so that they can be recreated if the context is lost, e.g. when the GPU is reset. Everything on the GPU is gone once the context is lost, so each resource has to be created again from scratch when it is restored.
+     *
+     * A resource is any object with a `restore()` method. Resources are restored in the order they were registered, so modules which are depended on (e.g. Shaders, TextureCache) are restored before the objects using them.
+     *
+     * @class ResourceRegistry
+     */
+    return {
+
+        /**
+         * Adds a resource, to be restored when the context is.
+         * @method register
+         * @param {Object} resource Object with a `restore()` method, which recreates its WebGL resources.
+         */
+        register: function (resource) {
+            resources.push(resource);
+        },
+
+        /**
+         * Removes a resource, e.g. an object which has been destroyed.
+         * @method unregister
+         * @param {Object} resource The resource, as passed to register().
+         */
+        unregister: function (resource) {
+            var index = resources.indexOf(resource);
+
+            if (index !== -1) {
+                resources.splice(index, 1);
+            }
+        },
+
+        /**
+         * @method isLost
+         * @return {boolean} True if the context has been lost and not yet restored. Nothing should be drawn until it is.
+         */
+        isLost: function () {
+            return lost;
+        },
+
+        /**
+         * Registers a function to be called when the context is lost.
+         * @method onLost
+         * @param  {Function} callback Function to call.
+         */
+        onLost: function (callback) {
+            lostListeners.push(callback);
+        },
+
+        /**
+         * Registers a function to be called once the context has been restored, and every resource recreated.
+         * @method onRestored
+         * @param  {Function} callback Function to call.
+         */
+        onRestored: function (callback) {
+            restoredListeners.push(callback);
+        }
+    };
+});
\ No newline at end of file
@@ -0,0 +1,215 @@
+/**
+ * @module Scale
+ */
+define(['url_parameters'], function (urlParameters) {
+
+    var customFactors = {
+            distance: 50000,    // miles per scene unit
+            radius:   100
+        },
+        listeners = [],
+        current;
+
+    /**
+     * The available scaling strategies. Each converts real sizes (in miles) into scene units, and tells the camera how deep the scene is.
+     *
+     * - radius(miles, isStar): converts the radius of a body.
+     * - distance(miles): converts the distance between an orbiting body and the body it orbits.
+     * - padOrbits: if true, the (scaled) radii of both bodies are added to each orbit, so that bodies which have been enlarged for presentation don't overlap.
+     * - nearPlane, farPlane: clipping planes for the camera. The skybox is drawn separately, so the far plane only needs to take in the bodies. The camera pushes the near plane out towards the nearest body, so nearPlane is the closest it comes.
+     *
+     * @property modes
+     * @type {Object}
+     */
+    var modes = {
+        aesthetic: {
+            label: 'Aesthetic (planets enlarged, distances reduced)',
+            radius: function (miles, isStar) {
+                // stars would swallow their inner planets if they were enlarged as much as the planets are
+                return isStar ? miles / 1000 : miles / 100;
+            },
+            distance: function (miles) {
+                return miles / 50000;
+            },
+            padOrbits:      true,
+            nearPlane:      1,
+            farPlane:       1000000
+        },
+        trueToScale: {
+            label: 'True to scale',
+            radius: function (miles) {
+                return miles / 1000;
+            },
+            distance: function (miles) {
+                return miles / 1000;
+            },
+            padOrbits:      false,
+            nearPlane:      1,
+            farPlane:       12000000
+        },
+        logarithmic: {
+            label: 'Logarithmic distances',
+            radius: function (miles, isStar) {
+                return modes.aesthetic.radius(miles, isStar);
+            },
+            distance: function (miles) {
+                // roughly linear for moons, compressing the outer solar system
+                return 20000 * (Math.log(1 + (miles / 10000000)) / Math.LN10);
+            },
+            padOrbits:      true,
+            nearPlane:      1,
+            farPlane:       1000000
+        },
+        custom: {
+            label: 'Custom',
+            radius: function (miles) {
+                return miles / customFactors.radius;
+            },
+            distance: function (miles) {
+                return miles / customFactors.distance;
+            },
+            padOrbits:      true,
+            nearPlane:      1,
+            farPlane:       1000000
+        }
+    };
+
+    /**
+     * Lets everything that depends on the scale know that it has changed.
+     * @method notifyListeners
+     */
+    function notifyListeners() {
+        for (var i = 0; i < listeners.length; i++) {
+            listeners[i]();
+        }
+    }
+
+    /**
+     * Works out the depth of the custom scale, so that Pluto's orbit (around 4.6 billion miles at its furthest) is always inside the far clipping plane.
+     * @method updateCustomDepth
+     */
+    function updateCustomDepth() {
+        modes.custom.farPlane = Math.max(1000000, 1.5 * (4600000000 / customFactors.distance));
+    }
+
+    current = modes[urlParameters.get('scale')] || modes.aesthetic;
+
+    /**
+     * Converts real sizes and distances into scene units, according to a scaling strategy which can be switched at runtime.
+     * @class Scale
+     */
+    return {
+
+        /**
+         * @method getModes
+         * @return {Object} The available scaling strategies, keyed by name.
+         */
+        getModes: function () {
+            return modes;
+        },
+
+        /**
+         * @method getModeName
+         * @return {String} Name of the current scaling strategy.
+         */
+        getModeName: function () {
+            for (var name in modes) {
+                if (modes[name] === current) {
+                    return name;
+                }
+            }
+        },
+
+        /**
+         * Switches to a different scaling strategy.
+         * @method setMode
+         * @param {String} name Name of the strategy, e.g. 'trueToScale'.
+         */
+        setMode: function (name) {
+            if (!modes[name] || modes[name] === current) {
+                return;
+            }
+            current = modes[name];
+            urlParameters.set('scale', name);
+            notifyListeners();
+        },
+
+        /**
+         * Sets the factors used by the custom scaling strategy.
+         * @method setCustomFactors
+         * @param {float} milesPerUnitOfDistance Number of miles represented by one scene unit, for distances between bodies.
+         * @param {float} milesPerUnitOfRadius   Number of miles represented by one scene unit, for the sizes of bodies.
+         */
+        setCustomFactors: function (milesPerUnitOfDistance, milesPerUnitOfRadius) {
+            if (!(milesPerUnitOfDistance > 0) || !(milesPerUnitOfRadius > 0)) {
+                return;
+            }
+            customFactors.distance = milesPerUnitOfDistance;
+            customFactors.radius   = milesPerUnitOfRadius;
+            updateCustomDepth();
+            if (current === modes.custom) {
+                notifyListeners();
+            }
+        },
+
+        /**
+         * @method getCustomFactors
+         * @return {Object} The distance and radius factors used by the custom scaling strategy.
+         */
+        getCustomFactors: function () {
+            return customFactors;
+        },
+
+        /**
+         * @method radius
+         * @param  {float}   miles  Radius of the body (in miles).
+         * @param  {boolean} isStar True if the body is a star.
+         * @return {float}          Radius in scene units.
+         */
+        radius: function (miles, isStar) {
+            return current.radius(miles, isStar);
+        },
+
+        /**
+         * @method distance
+         * @param  {float} miles Distance (in miles) between an orbiting body and the body it orbits.
+         * @return {float}       Distance in scene units.
+         */
+        distance: function (miles) {
+            return current.distance(miles);
+        },
+
+        /**
+         * @method padsOrbits
+         * @return {boolean} True if the radii of bodies should be added to the distances between them.
+         */
+        padsOrbits: function () {
+            return current.padOrbits;
+        },
+
+        /**
+         * @method getNearPlane
+         * @return {float} Distance to the camera's near clipping plane.
+         */
+        getNearPlane: function () {
+            return current.nearPlane;
+        },
+
+        /**
+         * @method getFarPlane
+         * @return {float} Distance to the camera's far clipping plane.
+         */
+        getFarPlane: function () {
+            return current.farPlane;
+        },
+
+        /**
+         * Registers a function to be called whenever the scale changes.
+         * @method onChange
+         * @param  {Function} callback Function to call.
+         */
+        onChange: function (callback) {
+            listeners.push(callback);
+        }
+    };
+});
\ No newline at end of file
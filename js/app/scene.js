@@ -0,0 +1,11 @@
+/**
+ * @module Scene
+ */
+define(['scene_loader', 'text!scene_file.json'], function (sceneLoader, sceneFile) {
+
+    /**
+     * The scene being shown. The scene file is chosen by the `scene` URL parameter (see main.js), and defaults to scenes/solar_system.json. A scene file which can't be downloaded, isn't valid JSON or can't be built (e.g. a body orbits one which doesn't exist) is swapped for scenes/solar_system.json with a notice saying so.
+     * @class Scene
+     */
+    return sceneLoader.load(sceneFile);
+});
\ No newline at end of file
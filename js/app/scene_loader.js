@@ -0,0 +1,144 @@
+/**
+ * @module SceneLoader
+ */
+define(['astronomical_object'], function (AstronomicalObject) {
+
+    /**
+     * Lighting values used if the scene file doesn't specify them.
+     * @property defaultLighting
+     * @type {Object}
+     */
+    var defaultLighting = {
+        ambient:   0.4,
+        specular:  0.7,
+        diffuse:   0.7,
+        shininess: 5
+    };
+
+    /**
+     * Creates an AstronomicalObject from its description in a scene file, replacing the id of the object it orbits with the object itself.
+     * @method createBody
+     * @param  {Object} description The body's entry in the scene file.
+     * @param  {Object} bodiesById  Bodies created so far, keyed by id.
+     * @return {AstronomicalObject} The new object.
+     */
+    function createBody(description, bodiesById) {
+        var config = {};
+
+        for (var key in description) {
+            config[key] = description[key];
+        }
+
+        if (description.orbits !== undefined) {
+            config.orbits = bodiesById[description.orbits];
+            if (!config.orbits) {
+                throw new Error('Scene body "' + description.id + '" orbits "' + description.orbits + '", which must be defined before it in the scene file.');
+            }
+        }
+
+        return new AstronomicalObject(config);
+    }
+
+    /**
+     * Creates the skybox described in a scene file. It is an AstronomicalObject, but isn't part of the scene - see Skybox.
+     * @method createSkybox
+     * @param  {Object} description The scene's skybox entry, or undefined.
+     * @return {AstronomicalObject} The skybox, or null if the scene doesn't have one.
+     */
+    function createSkybox(description) {
+        if (!description) {
+            return null;
+        }
+
+        return new AstronomicalObject({
+            name:     'Skybox',
+            texture:  description.texture,
+            axis:     description.axis,
+            spins:    false,
+            material: { type: 'unlit' }
+        });
+    }
+
+    /**
+     * Merges the lighting values from the scene file with the defaults.
+     * @method getLighting
+     * @param  {Object} lighting Lighting values from the scene file, or undefined.
+     * @return {Object}          Ambient, specular, diffuse and shininess values.
+     */
+    function getLighting(lighting) {
+        var merged = {};
+        lighting = lighting || {};
+
+        for (var key in defaultLighting) {
+            merged[key] = lighting[key] !== undefined ? lighting[key] : defaultLighting[key];
+        }
+
+        return merged;
+    }
+
+    /**
+     * Builds scenes from JSON scene files, so that different systems can be shown without changing any JavaScript.
+     *
+     * A scene file is an object with the following properties:
+     *
+     * - name: name of the scene.
+     * - lighting: (optional) starting values for the lighting sliders - ambient, specular, diffuse and shininess.
+     * - skybox: (optional) the background, drawn at an infinite distance. An object with a `texture` (an equirectangular image of the whole sky) and an optional `axis` (in degrees) to tilt it by.
+     * - bodies: array of bodies, in the order they should be drawn. Each one is an AstronomicalObject config, plus an `id`. Instead of an object reference, `orbits` holds the id of the body being orbited, which must come earlier in the array.
+     *
+     * @class SceneLoader
+     */
+    return {
+
+        /**
+         * Parses a scene file and creates the AstronomicalObjects in it.
+         * @method load
+         * @param  {String} json Contents of the scene file.
+         * @return {Object}      The scene - see build().
+         */
+        load: function (json) {
+            return this.build(JSON.parse(json));
+        },
+
+        /**
+         * Creates the AstronomicalObjects in an (already parsed) scene description, e.g. one generated by the ExoplanetImporter.
+         * @method build
+         * @param  {Object} scene The scene description, in the same form as a scene file.
+         * @return {Object}       The scene, with its name, lighting, skybox (an AstronomicalObject, or null), objects (AstronomicalObjects, in drawing order) and objectsById.
+         */
+        build: function (scene) {
+            var objects     = [],
+                objectsById = {},
+                body;
+
+            if (!Array.isArray(scene.bodies)) {
+                throw new Error('The scene should have an array of bodies.');
+            }
+
+            try {
+                for (var i = 0; i < scene.bodies.length; i++) {
+                    body = createBody(scene.bodies[i], objectsById);
+                    objects.push(body);
+                    if (scene.bodies[i].id !== undefined) {
+                        objectsById[scene.bodies[i].id] = body;
+                    }
+                }
+            }
+            catch (error) {
+                // the bodies created so far hold WebGL resources, and would be restored along with the rest if the context was lost
+                objects.forEach(function (object) {
+                    object.destroy();
+                });
+                throw error;
+            }
+
+            return {
+                name:        scene.name || 'Untitled scene',
+                lighting:    getLighting(scene.lighting),
+                skybox:      createSkybox(scene.skybox),
+                objects:     objects,
+                objectsById: objectsById
+            };
+        }
+    };
+});
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Light scattered by a thin atmosphere, seen as a glow around the limb of a body.
+// Uses lightDirectionFrom() from the lighting chunk.
+#include "lighting"
+
+// strength of the glow at a point (in view space) with the given normal - strongest where the line of sight grazes the atmosphere, and on the side facing the light
+float atmosphereWeighting(vec3 position, vec3 normal, float falloff) {
+    float rim = pow(1.0 - max(dot(normal, normalize(-position)), 0.0), falloff);
+    float daylight = smoothstep(-0.3, 0.3, dot(normal, lightDirectionFrom(position)));
+    return rim * daylight;
+}
\ No newline at end of file
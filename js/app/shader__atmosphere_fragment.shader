@@ -0,0 +1,16 @@
+precision mediump float;
+varying vec2 vTextureCoord;
+varying vec3 vTransformedNormal;
+varying vec3 vTransformedTangent;
+varying vec4 vPosition;
+uniform vec3 uAtmosphereColor;
+uniform float uAtmosphereFalloff;
+uniform float uAlpha;
+
+#include "atmosphere"
+
+void main(void) {
+    // added to whatever is behind, so the weighting only needs to scale the alpha
+    float weighting = atmosphereWeighting(vPosition.xyz, normalize(vTransformedNormal), uAtmosphereFalloff);
+    gl_FragColor = vec4(uAtmosphereColor, weighting * uAlpha);
+}
\ No newline at end of file
@@ -0,0 +1,8 @@
+precision mediump float;
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform float uAlpha;
+void main(void) {
+    vec4 fragmentColor = texture2D(uSampler, vTextureCoord);
+    gl_FragColor = vec4(fragmentColor.rgb, fragmentColor.a * uAlpha);
+}
\ No newline at end of file
@@ -1,55 +1,41 @@
 precision mediump float;
 varying vec2 vTextureCoord;
 varying vec3 vTransformedNormal;
+varying vec3 vTransformedTangent;
 varying vec4 vPosition;
 uniform float uMaterialShininess;
-uniform bool uShowSpecularHighlights;
-uniform bool uShowSpecularSampler;
-uniform bool uUseLighting;
-uniform bool uUseTextures;
-uniform vec3 uAmbientColor;
-uniform vec3 uPointLightingLocation;
-uniform vec3 uPointLightingSpecularColor;
-uniform vec3 uPointLightingDiffuseColor;
 uniform sampler2D uSampler;
+#ifdef SPECULAR_MAP
 uniform sampler2D uSpecularSampler;
+#endif
+#ifdef EMISSION_MAP
+uniform sampler2D uNightSampler;
+#endif
 uniform float uAlpha;
 
-void main(void) {
-    vec3 lightWeighting;
-    if (!uUseLighting) {
-        lightWeighting = vec3(1.0, 1.0, 1.0);
-    } else {
+#include "lighting"
 
-        float specularLightWeighting = 0.0;
-        float shininess = 32.0;
-        vec3 lightDirection = normalize(uPointLightingLocation - vPosition.xyz);
-        vec3 normal = normalize(vTransformedNormal);
+void main(void) {
+    float nightWeighting = 0.0;
 
-        if (uShowSpecularSampler) {
-            shininess = texture2D(uSpecularSampler, vec2(vTextureCoord.s, vTextureCoord.t)).r * 255.0;
-        } else {
-            shininess = uMaterialShininess;
-        }
+#ifdef SPECULAR_MAP
+    float shininess = texture2D(uSpecularSampler, vec2(vTextureCoord.s, vTextureCoord.t)).r * 255.0;
+#else
+    float shininess = uMaterialShininess;
+#endif
 
-        if (uShowSpecularHighlights && shininess < 255.0) {
-            vec3 eyeDirection = normalize(-vPosition.xyz);
-            vec3 reflectionDirection = reflect(-lightDirection, normal);
-            specularLightWeighting = pow(max(dot(reflectionDirection, eyeDirection), 0.0), shininess);
-        }
+    vec3 lightWeighting = phongLightWeighting(vPosition.xyz, surfaceNormal(), shininess);
 
-        float diffuseLightWeighting = max(dot(normal, lightDirection), 0.0);
-        lightWeighting = uAmbientColor
-            + uPointLightingSpecularColor * specularLightWeighting * diffuseLightWeighting
-            + uPointLightingDiffuseColor * diffuseLightWeighting; // diffuseLightWeighting to retain information about light direction
-    }
+#ifdef EMISSION_MAP
+    // fade the night side in across the terminator. The interpolated normal is used so that bumps don't make the lights flicker.
+    nightWeighting = 1.0 - smoothstep(-0.1, 0.15, dot(normalize(vTransformedNormal), lightDirectionFrom(vPosition.xyz)));
+#endif
 
     // rendering the color from the texture
-    vec4 fragmentColor;
-    if (uUseTextures) {
-        fragmentColor = texture2D(uSampler, vec2(vTextureCoord.s, vTextureCoord.t));
-    } else {
-        fragmentColor = vec4(1.0, 1.0, 1.0, 1.0);
-    }
-    gl_FragColor = vec4(fragmentColor.rgb * lightWeighting, fragmentColor.a * uAlpha);
+    vec4 fragmentColor = texture2D(uSampler, vec2(vTextureCoord.s, vTextureCoord.t));
+    vec3 emission = vec3(0.0, 0.0, 0.0);
+#ifdef EMISSION_MAP
+    emission = texture2D(uNightSampler, vTextureCoord).rgb * nightWeighting;
+#endif
+    gl_FragColor = vec4(fragmentColor.rgb * lightWeighting + emission, fragmentColor.a * uAlpha);
 }
\ No newline at end of file
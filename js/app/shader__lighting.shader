@@ -0,0 +1,61 @@
+// Phong lighting from the point light at the Sun, with optional normal and bump mapping.
+// Expects the vTextureCoord, vTransformedNormal and vTransformedTangent varyings to be declared before it is included.
+uniform bool uShowSpecularHighlights;
+uniform vec3 uAmbientColor;
+uniform vec3 uPointLightingLocation;
+uniform vec3 uPointLightingSpecularColor;
+uniform vec3 uPointLightingDiffuseColor;
+#ifdef NORMAL_MAP
+uniform sampler2D uNormalSampler;
+#endif
+#ifdef BUMP_MAP
+uniform sampler2D uBumpSampler;
+uniform vec2 uBumpTexelSize;
+uniform float uBumpScale;
+#endif
+
+// direction from a point (in view space) to the light
+vec3 lightDirectionFrom(vec3 position) {
+    return normalize(uPointLightingLocation - position);
+}
+
+// perturbs the interpolated normal using the normal map and/or bump map, in tangent space
+vec3 surfaceNormal() {
+    vec3 normal = normalize(vTransformedNormal);
+#if defined(NORMAL_MAP) || defined(BUMP_MAP)
+    vec3 tangent = normalize(vTransformedTangent - normal * dot(normal, vTransformedTangent));
+    vec3 bitangent = cross(normal, tangent);
+#endif
+
+#ifdef NORMAL_MAP
+    vec3 mapped = texture2D(uNormalSampler, vTextureCoord).rgb * 2.0 - 1.0;
+    normal = normalize(tangent * mapped.x + bitangent * mapped.y + normal * mapped.z);
+#endif
+
+#ifdef BUMP_MAP
+    float height = texture2D(uBumpSampler, vTextureCoord).r;
+    float heightU = texture2D(uBumpSampler, vTextureCoord + vec2(uBumpTexelSize.x, 0.0)).r - height;
+    float heightV = texture2D(uBumpSampler, vTextureCoord + vec2(0.0, uBumpTexelSize.y)).r - height;
+    normal = normalize(normal - uBumpScale * (tangent * heightU + bitangent * heightV));
+#endif
+
+    return normal;
+}
+
+// ambient, diffuse and specular light reaching a point (in view space) with the given normal
+vec3 phongLightWeighting(vec3 position, vec3 normal, float shininess) {
+    vec3 lightDirection = lightDirectionFrom(position);
+    float specularLightWeighting = 0.0;
+
+    if (uShowSpecularHighlights && shininess < 255.0) {
+        vec3 eyeDirection = normalize(-position);
+        vec3 reflectionDirection = reflect(-lightDirection, normal);
+        specularLightWeighting = pow(max(dot(reflectionDirection, eyeDirection), 0.0), shininess);
+    }
+
+    float diffuseLightWeighting = max(dot(normal, lightDirection), 0.0);
+
+    return uAmbientColor
+        + uPointLightingSpecularColor * specularLightWeighting * diffuseLightWeighting
+        + uPointLightingDiffuseColor * diffuseLightWeighting; // diffuseLightWeighting to retain information about light direction
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+precision mediump float;
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform vec3 uEmissiveColor;
+uniform float uAlpha;
+void main(void) {
+    // light of its own, so the texture is shown as it is, whichever way the body faces the Sun
+    vec4 fragmentColor = texture2D(uSampler, vTextureCoord);
+    gl_FragColor = vec4(fragmentColor.rgb * uEmissiveColor, fragmentColor.a * uAlpha);
+}
\ No newline at end of file
@@ -1,15 +1,18 @@
 attribute vec3 aVertexPosition;
 attribute vec3 aVertexNormal;
+attribute vec3 aVertexTangent;
 attribute vec2 aTextureCoord;
 uniform mat4 uMVMatrix;
 uniform mat4 uPMatrix;
 uniform mat3 uNMatrix;
 varying vec2 vTextureCoord;
 varying vec3 vTransformedNormal;
+varying vec3 vTransformedTangent;
 varying vec4 vPosition;
 void main(void) {
     vPosition = uMVMatrix * vec4(aVertexPosition, 1.0);
     gl_Position = uPMatrix * vPosition;
     vTextureCoord = aTextureCoord;
     vTransformedNormal = uNMatrix * aVertexNormal;
+    vTransformedTangent = uNMatrix * aVertexTangent;
 }
\ No newline at end of file
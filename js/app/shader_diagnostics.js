@@ -0,0 +1,160 @@
+/**
+ * @module ShaderDiagnostics
+ */
+define(['gl'], function (gl) {
+
+    var contextLines = 2,   // lines of source to show either side of an error
+        container    = null,
+        list         = null;
+
+    /**
+     * The formats drivers write errors in. Each has a pattern, and which of its groups hold the severity, line number and message.
+     * @property logFormats
+     * @type {Array}
+     */
+    var logFormats = [
+        // ANGLE (Chrome, Edge, and Firefox on Windows) and most others, e.g. "ERROR: 0:12: 'foo' : undeclared identifier"
+        { pattern: /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/, severity: 1, line: 2, message: 3 },
+        // Mesa, e.g. "0:12(5): error: `foo' undeclared"
+        { pattern: /^\d+:(\d+)\(\d+\):\s*(error|warning):\s*(.*)$/i, severity: 2, line: 1, message: 3 }
+    ];
+
+    /**
+     * Splits a driver's info log into messages.
+     * @method parseInfoLog
+     * @param  {String} log The info log of a shader or program.
+     * @return {Array}      The messages. Each has its severity ('error' or 'warning'), text, and the (1-based) line of the preprocessed source it is about, or null if it isn't about a line.
+     */
+    function parseInfoLog(log) {
+        var messages = [];
+
+        (log || '').split('\n').forEach(function (text) {
+            var message = null;
+
+            text = text.replace(/\0/g, '').trim();
+            // ANGLE ends with a count of the errors, which adds nothing
+            if (!text || /^ERROR: \d+ compilation errors?/.test(text)) {
+                return;
+            }
+
+            logFormats.forEach(function (format) {
+                var match = !message && text.match(format.pattern);
+                if (match) {
+                    message = {
+                        severity: match[format.severity].toLowerCase(),
+                        line:     parseInt(match[format.line], 10) || null,
+                        text:     match[format.message]
+                    };
+                }
+            });
+
+            messages.push(message || { severity: 'error', line: null, text: text });
+        });
+
+        return messages;
+    }
+
+    /**
+     * @method escape
+     * @param  {String} text Plain text.
+     * @return {String}      The text, safe to use as HTML.
+     */
+    function escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Renders the source around the line a message is about, with each line labelled with the file and line it came from before preprocessing.
+     * @method renderExcerpt
+     * @param  {Array} lines Lines of the preprocessed source - see ShaderLibrary.
+     * @param  {int}   index Index of the line the message is about.
+     * @return {String}      HTML.
+     */
+    function renderExcerpt(lines, index) {
+        var html = '';
+
+        for (var i = Math.max(0, index - contextLines); i <= Math.min(lines.length - 1, index + contextLines); i++) {
+            html += '<span class="webgl_solarsystem_shader_errors__line' + (i === index ? ' webgl_solarsystem_shader_errors__line--error' : '') + '">' +
+                escape(lines[i].file + ':' + lines[i].line) + '  ' + escape(lines[i].text) +
+                '</span>\n';
+        }
+
+        return '<pre class="webgl_solarsystem_shader_errors__source">' + html + '</pre>';
+    }
+
+    /**
+     * Renders one of the problems passed to report().
+     * @method renderProblem
+     * @param  {Object} problem The problem.
+     * @return {String}         HTML.
+     */
+    function renderProblem(problem) {
+        var messages = parseInfoLog(problem.log);
+
+        if (!messages.length) {
+            // some drivers leave the log empty
+            messages.push({ severity: 'error', line: null, text: 'failed, without any details from the driver' });
+        }
+
+        return messages.map(function (message) {
+            var index    = message.line ? message.line - 1 : -1,
+                source   = problem.lines[index],
+                location = source ? source.file + ':' + source.line + ' (' + problem.stage + ')' : problem.stage;
+
+            return '<li class="webgl_solarsystem_shader_errors__message webgl_solarsystem_shader_errors__message--' + message.severity + '">' +
+                '<strong>' + escape(location) + '</strong>: ' + escape(message.text) +
+                (source ? renderExcerpt(problem.lines, index) : '') +
+                '</li>';
+        }).join('');
+    }
+
+    /**
+     * Creates the overlay, over the canvas.
+     * @method createContainer
+     */
+    function createContainer() {
+        var heading = document.createElement('P'),
+            close   = document.createElement('BUTTON');
+
+        container = document.createElement('DIV');
+        list      = document.createElement('UL');
+
+        container.id      = 'webgl_solarsystem_shader_errors';
+        heading.innerHTML = 'Some shaders could not be built, so those objects are drawn with a plain fallback shader.';
+        close.className   = 'webgl_solarsystem_shader_errors__close';
+        close.innerHTML   = 'Close';
+        close.onclick     = function () {
+            container.style.display = 'none';
+        };
+
+        container.appendChild(close);
+        container.appendChild(heading);
+        container.appendChild(list);
+        gl.canvas.parentNode.appendChild(container);
+    }
+
+    /**
+     * Shows shader compile and link errors over the canvas, so that they can be seen without opening the console. Each error is traced back through the includes and defines to the file and line it came from, and shown with the source around it.
+     * @class ShaderDiagnostics
+     */
+    return {
+
+        /**
+         * Shows the problems with a program which couldn't be built. They're added to any already on show.
+         * @method report
+         * @param {String} title    Description of the program, e.g. the files and defines it was built from.
+         * @param {Array}  problems The problems. Each has the `stage` it happened at ('vertex', 'fragment', 'link' or 'preprocess'), the driver's info `log` (or an error message), and the `lines` of the preprocessed source, each with its `text` and the `file` and `line` it came from.
+         */
+        report: function (title, problems) {
+            var item = document.createElement('LI');
+
+            if (!container) {
+                createContainer();
+            }
+
+            item.innerHTML = '<h3>' + escape(title) + '</h3><ul>' + problems.map(renderProblem).join('') + '</ul>';
+            list.appendChild(item);
+            container.style.display = '';
+        }
+    };
+});
\ No newline at end of file
@@ -0,0 +1,341 @@
+/**
+ * @module ShaderLibrary
+ */
+define(['gl', 'resource_registry', 'shader_diagnostics', 'text!shader__lighting.shader', 'text!shader__atmosphere.shader', 'text!shader__fallback_vertex.shader', 'text!shader__fallback_fragment.shader'], function (gl, resourceRegistry, shaderDiagnostics, lightingChunk, atmosphereChunk, fallbackVertexCode, fallbackFragmentCode) {
+
+    /**
+     * Shared GLSL which shaders can pull in with `#include "name"`.
+     * @property chunks
+     * @type {Object}
+     */
+    var chunks = {
+        lighting:   lightingChunk,
+        atmosphere: atmosphereChunk
+    };
+
+    var includePattern    = /^\s*#include\s+"([\w-]+)"\s*$/,
+        currentProgram    = null,
+        enabledAttributes = [],
+        fallbackProgram   = null,
+        programs          = {};
+
+    resourceRegistry.register({
+        /**
+         * Nothing is in use on a restored context, and the programs were lost along with the old one, so each is built again when it is next asked for.
+         * @method restore
+         */
+        restore: function () {
+            currentProgram    = null;
+            enabledAttributes = [];
+            fallbackProgram   = null;
+            programs          = {};
+        }
+    });
+
+    /**
+     * Turns a set of defines into `#define` lines.
+     * @method getDefineLines
+     * @param  {Object} defines Values keyed by name. A value of true defines the name on its own, and false (or undefined) leaves it out.
+     * @return {Array}          The lines.
+     */
+    function getDefineLines(defines) {
+        return Object.keys(defines || {}).sort().filter(function (name) {
+            return defines[name] !== false && defines[name] !== undefined;
+        }).map(function (name) {
+            return '#define ' + name + (defines[name] === true ? '' : ' ' + defines[name]);
+        });
+    }
+
+    /**
+     * Replaces every `#include "name"` line with the chunk it names. Chunks can include other chunks, but each is only pulled in once, however many times it is asked for. Every line remembers which file it came from, so that errors can be traced back to it.
+     * @method expandIncludes
+     * @param  {String} file     Name of the file the GLSL came from.
+     * @param  {String} source   GLSL.
+     * @param  {Object} included Names of the chunks included so far.
+     * @return {Array}           The lines of GLSL, with the includes expanded. Each has its text, and the file and line number it came from.
+     */
+    function expandIncludes(file, source, included) {
+        var lines = [];
+
+        source.split('\n').forEach(function (text, index) {
+            var match = text.match(includePattern),
+                name;
+
+            if (!match) {
+                lines.push({ text: text, file: file, line: index + 1 });
+                return;
+            }
+
+            name = match[1];
+            if (chunks[name] === undefined) {
+                throw new Error(file + ':' + (index + 1) + ': unknown shader chunk "' + name + '". Use one of: ' + Object.keys(chunks).join(', ') + '.');
+            }
+            if (included[name]) {
+                lines.push({ text: '', file: file, line: index + 1 });
+                return;
+            }
+            included[name] = true;
+
+            lines = lines.concat(expandIncludes('shader__' + name + '.shader', chunks[name], included));
+        });
+
+        return lines;
+    }
+
+    /**
+     * Expands the includes of some GLSL, and adds the defines to the top (after the `#version` line, if there is one).
+     * @method preprocessLines
+     * @param  {String} file    Name of the file the GLSL came from.
+     * @param  {String} source  GLSL.
+     * @param  {Object} defines Values keyed by name - see createProgram().
+     * @return {Array}          The lines of the preprocessed GLSL - see expandIncludes().
+     */
+    function preprocessLines(file, source, defines) {
+        var lines   = expandIncludes(file, source, {}),
+            version = /^\s*#version/.test(lines[0].text) ? lines.shift() : null;
+
+        lines = getDefineLines(defines).map(function (text, index) {
+            return { text: text, file: 'defines', line: index + 1 };
+        }).concat(lines);
+        if (version) {
+            lines.unshift(version);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Compiles a shader.
+     * @method compileShader
+     * @param  {Array}  lines    Lines of preprocessed GLSL, from preprocessLines().
+     * @param  {String} stage    'vertex' or 'fragment'.
+     * @param  {Array}  problems List to add a problem to if the shader doesn't compile - see ShaderDiagnostics.report().
+     * @return {Object}          The compiled shader, or null if it didn't compile.
+     */
+    function compileShader(lines, stage, problems) {
+        var shader = gl.createShader(stage === 'vertex' ? gl.VERTEX_SHADER : gl.FRAGMENT_SHADER);
+
+        gl.shaderSource(shader, lines.map(function (line) {
+            return line.text;
+        }).join('\n'));
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            problems.push({ stage: stage, log: gl.getShaderInfoLog(shader), lines: lines });
+            gl.deleteShader(shader);
+            return null;
+        }
+
+        return shader;
+    }
+
+    /**
+     * Compiles and links a program from preprocessed GLSL.
+     * @method linkProgram
+     * @param  {Array}  vertexLines   Lines of the vertex shader, from preprocessLines().
+     * @param  {Array}  fragmentLines Lines of the fragment shader.
+     * @param  {Array}  problems      List to add any problems to.
+     * @return {Object}               The linked program, or null if it couldn't be built.
+     */
+    function linkProgram(vertexLines, fragmentLines, problems) {
+        var vertexShader   = compileShader(vertexLines, 'vertex', problems),
+            fragmentShader = compileShader(fragmentLines, 'fragment', problems),
+            program;
+
+        if (!vertexShader || !fragmentShader) {
+            return null;
+        }
+
+        program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            problems.push({ stage: 'link', log: gl.getProgramInfoLog(program), lines: [] });
+            gl.deleteProgram(program);
+            return null;
+        }
+
+        discoverLocations(program);
+
+        return program;
+    }
+
+    /**
+     * Returns a plain shader which just draws the diffuse texture, without lighting. It is drawn with in place of any program which can't be built, so that the app keeps running. It is shared by every such program, and only built when it is first needed.
+     * @method getFallbackProgram
+     * @return {Object} The program, or null if the context has been lost.
+     */
+    function getFallbackProgram() {
+        var problems = [];
+
+        if (gl.isContextLost()) {
+            // nothing can be built (or drawn) until the context is restored, when every program is built again
+            return null;
+        }
+        if (!fallbackProgram) {
+            fallbackProgram = linkProgram(preprocessLines('shader__fallback_vertex.shader', fallbackVertexCode), preprocessLines('shader__fallback_fragment.shader', fallbackFragmentCode), problems);
+            if (!fallbackProgram) {
+                // nothing can be drawn, but an empty program can still be switched to without throwing
+                shaderDiagnostics.report('shader__fallback_vertex.shader and shader__fallback_fragment.shader - the fallback itself, so those objects are not drawn at all', problems);
+                fallbackProgram = gl.createProgram();
+                fallbackProgram.attributeLocations = [];
+                fallbackProgram.uniformLocations   = {};
+            }
+        }
+
+        return fallbackProgram;
+    }
+
+    /**
+     * Works out the name of the property holding the location of a shader variable, following the `aVertexPosition` -> `vertexPositionAttribute`, `uPMatrix` -> `pMatrixUniform`, `uMVMatrix` -> `mvMatrixUniform` convention.
+     * @method getPropertyName
+     * @param  {String} name   Name of the variable in the shader.
+     * @param  {String} suffix 'Attribute' or 'Uniform'.
+     * @return {String}        The property name.
+     */
+    function getPropertyName(name, suffix) {
+        // arrays are reported with the index of their first element, e.g. uLights[0]
+        name = name.replace(/\[0\]$/, '').replace(/^[au](?=[A-Z])/, '');
+        // a leading abbreviation is lower-cased as a whole, up to the capital starting the next word
+        return name.replace(/^[A-Z]+(?=[A-Z][a-z]|$)|^[A-Z]/, function (initial) {
+            return initial.toLowerCase();
+        }) + suffix;
+    }
+
+    /**
+     * Finds the location of every active attribute and uniform of a linked program, and stores it on the program. Uniform locations are also kept in `uniformLocations`, keyed by their names in the GLSL, for uniforms which are only known by those names (e.g. those of custom Materials). Variables which the compiler has optimised away (e.g. because they're only used by a feature which isn't defined) aren't active, so their properties are left undefined.
+     * @method discoverLocations
+     * @param {Object} program The linked program.
+     */
+    function discoverLocations(program) {
+        var count, info, location, i;
+
+        program.attributeLocations = [];
+        program.uniformLocations   = {};
+
+        count = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+        for (i = 0; i < count; i++) {
+            info     = gl.getActiveAttrib(program, i);
+            location = gl.getAttribLocation(program, info.name);
+            if (location === -1) {
+                // built in, e.g. gl_VertexID
+                continue;
+            }
+            program[getPropertyName(info.name, 'Attribute')] = location;
+            program.attributeLocations.push(location);
+        }
+
+        count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (i = 0; i < count; i++) {
+            info     = gl.getActiveUniform(program, i);
+            location = gl.getUniformLocation(program, info.name);
+            program[getPropertyName(info.name, 'Uniform')] = location;
+            // arrays are reported by the name of their first element
+            program.uniformLocations[info.name.replace(/\[0\]$/, '')] = location;
+        }
+    }
+
+    /**
+     * Builds shader programs from GLSL which can `#include` shared chunks (see the chunks property) and be compiled in several variants through `#define`s, e.g. with and without a normal map. Each program is given the locations of its attributes and uniforms as properties (`vertexPositionAttribute`, `pMatrixUniform` and so on), found by asking WebGL which ones are active, so they never need listing by hand.
+     * @class ShaderLibrary
+     */
+    return {
+
+        /**
+         * Expands the includes of some GLSL, and adds the defines to the top (after the `#version` line, if there is one).
+         * @method preprocess
+         * @param  {String} source  GLSL.
+         * @param  {Object} defines Values keyed by name - see createProgram().
+         * @return {String}         The preprocessed GLSL.
+         */
+        preprocess: function (source, defines) {
+            return preprocessLines('source', source, defines).map(function (line) {
+                return line.text;
+            }).join('\n');
+        },
+
+        /**
+         * @method getVariantKey
+         * @param  {Object} defines Values keyed by name - see createProgram().
+         * @return {String}         Key identifying the variant, the same for any set of defines producing the same `#define` lines.
+         */
+        getVariantKey: function (defines) {
+            return getDefineLines(defines).join('\n');
+        },
+
+        /**
+         * Compiles and links a program. If it can't be built, the problems are shown over the canvas (see ShaderDiagnostics) and a plain fallback program is returned in its place, so that the app keeps running.
+         * @method createProgram
+         * @param  {Object} vertex   The vertex shader: its GLSL `source`, and the name of the `file` it came from, for error messages.
+         * @param  {Object} fragment The fragment shader, likewise.
+         * @param  {Object} defines  Defines for both shaders, keyed by name, e.g. `{ NORMAL_MAP: true, OCTAVES: 4 }`. Values of true define the name on its own, and false leaves it undefined.
+         * @return {Object}          The program, with the locations of its active attributes and uniforms as properties. Null if the context has been lost - nothing is drawn until it is restored.
+         */
+        createProgram: function (vertex, fragment, defines) {
+            var problems = [],
+                program  = null;
+
+            try {
+                program = linkProgram(preprocessLines(vertex.file, vertex.source, defines), preprocessLines(fragment.file, fragment.source, defines), problems);
+            }
+            catch (error) {
+                problems.push({ stage: 'preprocess', log: error.message, lines: [] });
+            }
+
+            if (program) {
+                return program;
+            }
+
+            // shaders don't compile on a lost context, and are built again once it is restored
+            if (!gl.isContextLost()) {
+                shaderDiagnostics.report(vertex.file + ' and ' + fragment.file + ', ' + (getDefineLines(defines).join(', ').replace(/#define /g, '') || 'no defines'), problems);
+            }
+
+            return getFallbackProgram();
+        },
+
+        /**
+         * Returns a program, building it (see createProgram()) the first time it is asked for. Programs are told apart by the files their shaders came from and their defines, so every variant of every shader is only built once.
+         * @method getProgram
+         * @param  {Object} vertex   The vertex shader - see createProgram().
+         * @param  {Object} fragment The fragment shader.
+         * @param  {Object} defines  Defines for both shaders, keyed by name.
+         * @return {Object}          The program, or null if the context has been lost.
+         */
+        getProgram: function (vertex, fragment, defines) {
+            var key = [vertex.file, fragment.file, this.getVariantKey(defines)].join('\n');
+
+            if (!programs[key]) {
+                programs[key] = this.createProgram(vertex, fragment, defines);
+            }
+
+            return programs[key];
+        },
+
+        /**
+         * Switches to a program, if it isn't already in use, and enables exactly the vertex attribute arrays it reads. Attribute arrays aren't part of a program, so any left enabled by the last program would otherwise still be checked when drawing.
+         * @method use
+         * @param {Object} program A program from createProgram().
+         */
+        use: function (program) {
+            if (program === currentProgram) {
+                return;
+            }
+
+            enabledAttributes.forEach(function (location) {
+                if (program.attributeLocations.indexOf(location) === -1) {
+                    gl.disableVertexAttribArray(location);
+                }
+            });
+            program.attributeLocations.forEach(function (location) {
+                gl.enableVertexAttribArray(location);
+            });
+
+            gl.useProgram(program);
+            currentProgram    = program;
+            enabledAttributes = program.attributeLocations;
+        }
+    };
+});
\ No newline at end of file
@@ -1,90 +1,34 @@
 /**
  * @module Shaders
  */
-define(['gl', 'glMatrix', 'text!shader__fragment.shader', 'text!shader__vertex.shader'], function (gl, glMatrix, fragmentShaderCode, vertexShaderCode) {
+define(['shader_library', 'text!shader__fragment.shader', 'text!shader__vertex.shader'], function (shaderLibrary, fragmentShaderCode, vertexShaderCode) {
 
     /**
-     * Initialises the shaders.
+     * The Phong shader, which bodies with the 'phong' Material are drawn with. It comes in variants for the texture maps a body has, so that nothing is sampled (or even declared) for maps it doesn't have:
+     *
+     * - SPECULAR_MAP: shininess comes from a specular map, rather than the uMaterialShininess uniform.
+     * - NORMAL_MAP: the lighting is perturbed by a tangent-space normal map.
+     * - BUMP_MAP: the lighting is perturbed by a bump (height) map.
+     * - EMISSION_MAP: an emission map (e.g. city lights) is shown on the night side.
+     *
+     * Each variant is built by the ShaderLibrary the first time it is asked for. A variant which doesn't build is drawn with the library's fallback shader instead, and its errors are shown over the canvas.
+     *
      * @class Shaders
-     * @constructor
-     * @return {Object} The shader program containing the compiled shaders.
      */
-    function initShaders() {
-        var fragmentShader = compileShader(fragmentShaderCode, 'fragment');
-        var vertexShader = compileShader(vertexShaderCode, 'vertex');
-        var shaderProgram = gl.createProgram();
-
-        gl.attachShader(shaderProgram, vertexShader);
-        gl.attachShader(shaderProgram, fragmentShader);
-        gl.linkProgram(shaderProgram);
-
-        if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
-            alert('Could not initialise shaders');
-        }
-        
-        gl.useProgram(shaderProgram);
-        shaderProgram.vertexPositionAttribute = gl.getAttribLocation(shaderProgram, 'aVertexPosition');
-        gl.enableVertexAttribArray(shaderProgram.vertexPositionAttribute);
-        shaderProgram.vertexNormalAttribute = gl.getAttribLocation(shaderProgram, 'aVertexNormal');
-        gl.enableVertexAttribArray(shaderProgram.vertexNormalAttribute);
-        shaderProgram.textureCoordAttribute = gl.getAttribLocation(shaderProgram, 'aTextureCoord');
-        gl.enableVertexAttribArray(shaderProgram.textureCoordAttribute);
-
-        var jsVariableShaderVariablePairs = {
-            'pMatrixUniform':                    'uPMatrix',
-            'mvMatrixUniform':                   'uMVMatrix',
-            'nMatrixUniform':                    'uNMatrix',
-            'samplerUniform':                    'uSampler',
-            'showSpecularSamplerUniform':        'uShowSpecularSampler',
-            'specularSamplerUniform':            'uSpecularSampler',
-            'materialShininessUniform':          'uMaterialShininess',
-            'showSpecularHighlightsUniform':     'uShowSpecularHighlights',
-            'useTexturesUniform':                'uUseTextures',
-            'useLightingUniform':                'uUseLighting',
-            'ambientColorUniform':               'uAmbientColor',
-            'pointLightingLocationUniform':      'uPointLightingLocation',
-            'pointLightingSpecularColorUniform': 'uPointLightingSpecularColor',
-            'pointLightingDiffuseColorUniform':  'uPointLightingDiffuseColor',
-            'alphaUniform':                      'uAlpha'
-        }
-
-        for (var jsVariable in jsVariableShaderVariablePairs) {
-            var shaderVariable = jsVariableShaderVariablePairs[jsVariable];
-            shaderProgram[jsVariable] = gl.getUniformLocation(shaderProgram, shaderVariable);
-        }
-
-        return shaderProgram;
-    }
-
-    /**
-     * Compiles an OpenGL shader from raw shader code.
-     * @method  compileShader
-     * @param  {String} code    The uncompiled shader program.
-     * @param  {String} type    The type of shader to compiled (fragment or vertex).
-     * @return {Object}         The compiled gl shader.
-     */
-    function compileShader(code, type) {
-        var shader;
-        if (type === 'fragment') {
-            shader = gl.createShader(gl.FRAGMENT_SHADER);
-        }
-        else if (type === 'vertex') {
-            shader = gl.createShader(gl.VERTEX_SHADER);
+    return {
+
+        /**
+         * Returns the variant of the shader with the given features, building it if it hasn't been asked for before.
+         * @method get
+         * @param  {Object} defines True for each feature (see above) the variant should have, keyed by name.
+         * @return {Object}         The program, with the locations of its attributes and uniforms - see ShaderLibrary.createProgram().
+         */
+        get: function (defines) {
+            return shaderLibrary.getProgram(
+                { file: 'shader__vertex.shader', source: vertexShaderCode },
+                { file: 'shader__fragment.shader', source: fragmentShaderCode },
+                defines
+            );
         }
-        else {
-            return null;
-        }
-
-        gl.shaderSource(shader, code);
-        gl.compileShader(shader);
-        
-        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-            console.log(gl.getShaderInfoLog(shader), 'Error: could not compile shaders');
-            return null;
-        }
-        
-        return shader;
-    }
-
-    return initShaders();
+    };
 });
\ No newline at end of file
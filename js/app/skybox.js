@@ -0,0 +1,50 @@
+/**
+ * @module Skybox
+ */
+define(['gl', 'camera', 'scale', 'scene'], function (gl, camera, scale, scene) {
+
+    var current = scene.skybox;
+
+    scale.onChange(function () {
+        if (current) {
+            current.rescale();
+        }
+    });
+
+    /**
+     * The background of the scene (e.g. the Milky Way). It is drawn before everything else, centred on the camera and without writing to the depth buffer, so that it appears infinitely far away: it never moves as the camera does, and can never be clipped by the far plane or hide a body.
+     *
+     * The skybox itself is an AstronomicalObject created by the SceneLoader from the scene's `skybox` entry.
+     *
+     * @class Skybox
+     */
+    return {
+
+        /**
+         * Replaces the skybox, e.g. when a different scene is loaded. The old one is destroyed.
+         * @method replace
+         * @param {AstronomicalObject} skybox The new skybox, or null to have a plain black background.
+         */
+        replace: function (skybox) {
+            if (current) {
+                current.destroy();
+            }
+            current = skybox;
+        },
+
+        /**
+         * Draws the skybox. This should be the first thing drawn after the canvas has been cleared.
+         * @method draw
+         */
+        draw: function () {
+            if (!current || !current.isReady) {
+                // the background stays black until the texture has loaded, rather than turning placeholder grey
+                return;
+            }
+
+            gl.depthMask(false);
+            current.draw(camera.getProjectionRotationMatrix());
+            gl.depthMask(true);
+        }
+    };
+});
\ No newline at end of file
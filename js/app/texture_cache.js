@@ -0,0 +1,372 @@
+/**
+ * @module TextureCache
+ */
+define(['gl', 'capabilities', 'resource_registry', 'asset_loader', 'compressed_texture'], function (gl, capabilities, resourceRegistry, assetLoader, compressedTexture) {
+
+    var entries    = {},
+        generation = 0,         // incremented whenever the context is restored, as textures from earlier generations belong to a lost context
+        anisotropyExtension;    // looked up when first needed, and null if the device doesn't support it
+
+    resourceRegistry.register({
+        /**
+         * Forgets every texture after the context has been restored, as they were lost along with it. Objects acquire their textures again as they are restored themselves.
+         * @method restore
+         */
+        restore: function () {
+            entries = {};
+            generation++;
+            anisotropyExtension = undefined;
+        }
+    });
+
+    /**
+     * Converts a sampler setting into a WebGL constant. Settings can be given as the constants themselves, or by name (e.g. 'CLAMP_TO_EDGE'), which is how they're written in scene files.
+     * @method getConstant
+     * @param  {int|String} value    The setting, or undefined.
+     * @param  {int}        fallback Constant to use if the setting isn't given, or isn't valid.
+     * @return {int}                 A WebGL constant.
+     */
+    function getConstant(value, fallback) {
+        if (typeof value === 'string') {
+            return typeof gl[value] === 'number' ? gl[value] : fallback;
+        }
+        return value || fallback;
+    }
+
+    /**
+     * Fills in any sampler settings which weren't given with the defaults.
+     * @method getSampler
+     * @param  {Object} sampler Sampler settings, or undefined.
+     * @return {Object}         Complete sampler settings.
+     */
+    function getSampler(sampler) {
+        sampler = sampler || {};
+        return {
+            magFilter:  getConstant(sampler.magFilter, gl.LINEAR),
+            minFilter:  getConstant(sampler.minFilter, gl.LINEAR_MIPMAP_NEAREST),
+            wrapS:      getConstant(sampler.wrapS, gl.REPEAT),
+            wrapT:      getConstant(sampler.wrapT, gl.REPEAT),
+            anisotropy: sampler.anisotropy || 1,
+            npot:       sampler.npot === 'clamp' ? 'clamp' : 'resize'
+        };
+    }
+
+    /**
+     * @method getKey
+     * @param  {Array}  urls    URLs of the files to try for the texture - see CompressedTexture.choose().
+     * @param  {Object} sampler Complete sampler settings.
+     * @return {String}         Key identifying the texture in the cache. The same image with different sampler settings is a different texture.
+     */
+    function getKey(urls, sampler) {
+        return urls.join(',') + '|' + [sampler.magFilter, sampler.minFilter, sampler.wrapS, sampler.wrapT, sampler.anisotropy, sampler.npot].join('|');
+    }
+
+    /**
+     * @method isPowerOfTwo
+     * @param  {int}     value Width or height of a texture.
+     * @return {boolean}       True if the value is a power of two.
+     */
+    function isPowerOfTwo(value) {
+        return value > 0 && (value & (value - 1)) === 0;
+    }
+
+    /**
+     * @method usesMipmaps
+     * @param  {int}     minFilter A WebGL minification filter.
+     * @return {boolean}           True if the filter samples from mipmaps.
+     */
+    function usesMipmaps(minFilter) {
+        return minFilter !== gl.LINEAR && minFilter !== gl.NEAREST;
+    }
+
+    /**
+     * @method withoutMipmaps
+     * @param  {int} minFilter A WebGL minification filter.
+     * @return {int}           The closest filter which doesn't sample from mipmaps.
+     */
+    function withoutMipmaps(minFilter) {
+        if (minFilter === gl.NEAREST || minFilter === gl.NEAREST_MIPMAP_NEAREST || minFilter === gl.NEAREST_MIPMAP_LINEAR) {
+            return gl.NEAREST;
+        }
+        return gl.LINEAR;
+    }
+
+    /**
+     * WebGL 1 can only mipmap or repeat textures whose sides are powers of two. Anything else leaves the texture incomplete, and it is silently drawn black. WebGL 2 has no such restriction.
+     * @method needsPowerOfTwo
+     * @param  {Object}  sampler Complete sampler settings.
+     * @return {boolean}         True if the sampler settings need a power of two texture.
+     */
+    function needsPowerOfTwo(sampler) {
+        if (capabilities.npotTextures) {
+            return false;
+        }
+        return usesMipmaps(sampler.minFilter) || sampler.wrapS !== gl.CLAMP_TO_EDGE || sampler.wrapT !== gl.CLAMP_TO_EDGE;
+    }
+
+    /**
+     * @method clampSampler
+     * @param  {Object} sampler Complete sampler settings.
+     * @return {Object}         The same settings, changed to clamp to the edges and not use mipmaps, so that they work with any size of texture.
+     */
+    function clampSampler(sampler) {
+        return {
+            magFilter:  sampler.magFilter,
+            minFilter:  withoutMipmaps(sampler.minFilter),
+            wrapS:      gl.CLAMP_TO_EDGE,
+            wrapT:      gl.CLAMP_TO_EDGE,
+            anisotropy: sampler.anisotropy,
+            npot:       sampler.npot
+        };
+    }
+
+    /**
+     * Scales an image up to the next power of two in each direction (or down, if that would be bigger than the device allows).
+     * @method resizeToPowerOfTwo
+     * @param  {Object}     image The Image (or canvas) to resize.
+     * @return {DOMElement}       A canvas element holding the resized image.
+     */
+    function resizeToPowerOfTwo(image) {
+        var canvas  = document.createElement('CANVAS'),
+            maximum = capabilities.maxTextureSize;
+
+        canvas.width  = Math.min(maximum, Math.pow(2, Math.ceil(Math.log(image.width) / Math.LN2)));
+        canvas.height = Math.min(maximum, Math.pow(2, Math.ceil(Math.log(image.height) / Math.LN2)));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return canvas;
+    }
+
+    /**
+     * Applies sampler settings to the texture bound to TEXTURE_2D.
+     * @method applySampler
+     * @param {Object} sampler Complete sampler settings.
+     */
+    function applySampler(sampler) {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, sampler.magFilter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, sampler.minFilter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, sampler.wrapS);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, sampler.wrapT);
+
+        if (sampler.anisotropy > 1) {
+            if (anisotropyExtension === undefined) {
+                anisotropyExtension = gl.getExtension('EXT_texture_filter_anisotropic') || gl.getExtension('WEBKIT_EXT_texture_filter_anisotropic') || gl.getExtension('MOZ_EXT_texture_filter_anisotropic');
+            }
+            if (anisotropyExtension) {
+                gl.texParameterf(gl.TEXTURE_2D, anisotropyExtension.TEXTURE_MAX_ANISOTROPY_EXT, Math.min(sampler.anisotropy, gl.getParameter(anisotropyExtension.MAX_TEXTURE_MAX_ANISOTROPY_EXT)));
+            }
+        }
+    }
+
+    /**
+     * Uploads an image to a new WebGL texture. If its sides aren't powers of two but the sampler needs them to be, it is either resized, or the sampler is changed to clamp to the edges without mipmaps, depending on the sampler's `npot` setting.
+     * @method createTexture
+     * @param  {Object} image   The Image (or canvas) to upload.
+     * @param  {Object} sampler Sampler settings - see acquire().
+     * @return {Object}         A WebGL TEXTURE_2D object, or null if the context has been lost.
+     */
+    function createTexture(image, sampler) {
+        var texture = gl.createTexture();
+
+        if (!texture) {
+            // the context has been lost
+            return null;
+        }
+
+        sampler = getSampler(sampler);
+
+        if ((!isPowerOfTwo(image.width) || !isPowerOfTwo(image.height)) && needsPowerOfTwo(sampler)) {
+            if (sampler.npot === 'resize') {
+                image = resizeToPowerOfTwo(image);
+            }
+            else {
+                sampler = clampSampler(sampler);
+            }
+        }
+
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        applySampler(sampler);
+        if (usesMipmaps(sampler.minFilter)) {
+            gl.generateMipmap(gl.TEXTURE_2D);
+        }
+        gl.bindTexture(gl.TEXTURE_2D, null);
+
+        // needed to sample neighbouring texels, e.g. for bump mapping
+        texture.width  = image.width;
+        texture.height = image.height;
+
+        return texture;
+    }
+
+    /**
+     * Uploads a compressed texture (see CompressedTexture) to a new WebGL texture. Mipmaps can't be generated for compressed textures, so the sampler only uses them if the file has a complete chain. Nor can they be resized, so ones whose sides aren't powers of two are always clamped.
+     * @method createCompressedTexture
+     * @param  {Object} compressed The parsed file, from CompressedTexture.parse().
+     * @param  {Object} sampler    Sampler settings - see acquire().
+     * @return {Object}            A WebGL TEXTURE_2D object, or null if the context has been lost.
+     */
+    function createCompressedTexture(compressed, sampler) {
+        var texture  = gl.createTexture(),
+            levels   = compressed.levels,
+            smallest = levels[levels.length - 1];
+
+        if (!texture) {
+            return null;
+        }
+
+        sampler = getSampler(sampler);
+        if ((!isPowerOfTwo(compressed.width) || !isPowerOfTwo(compressed.height)) && needsPowerOfTwo(sampler)) {
+            sampler = clampSampler(sampler);
+        }
+        if (smallest.width > 1 || smallest.height > 1) {
+            sampler.minFilter = withoutMipmaps(sampler.minFilter);
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        for (var i = 0; i < levels.length; i++) {
+            gl.compressedTexImage2D(gl.TEXTURE_2D, i, compressed.internalFormat, levels[i].width, levels[i].height, 0, levels[i].data);
+        }
+        applySampler(sampler);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+
+        texture.width  = compressed.width;
+        texture.height = compressed.height;
+
+        return texture;
+    }
+
+    /**
+     * Downloads and uploads a texture, trying each of the given files in turn until one works. Compressed textures which can't be downloaded, or turn out to be in a format the device doesn't support, are skipped. The fallback image is only used once every file has failed.
+     * @method load
+     * @param  {Array}   urls     URLs of the files to try.
+     * @param  {Object}  sampler  Sampler settings - see acquire().
+     * @param  {String}  fallback URL of an image to use if none of the files work, or undefined.
+     * @return {Promise}          Resolves with the WebGL texture, or rejects with the Error from the last file.
+     */
+    function load(urls, sampler, fallback) {
+        var url    = urls[0],
+            isLast = urls.length === 1,
+            loading;
+
+        if (!urls.length) {
+            return Promise.reject(new Error('None of the alternatives are supported by this device'));
+        }
+
+        if (compressedTexture.isCompressed(url)) {
+            loading = assetLoader.loadArrayBuffer(url).then(function (buffer) {
+                return createCompressedTexture(compressedTexture.parse(buffer), sampler);
+            }).catch(function (error) {
+                // failed downloads are already shown as failed, but a file the device can't use has downloaded fine
+                assetLoader.reportFailure(url, error);
+                throw error;
+            });
+            if (isLast && fallback) {
+                loading = loading.catch(function () {
+                    return assetLoader.loadImage(fallback).then(function (image) {
+                        return createTexture(image, sampler);
+                    });
+                });
+            }
+        }
+        else {
+            loading = assetLoader.loadImage(url, { fallback: isLast ? fallback : undefined }).then(function (image) {
+                return createTexture(image, sampler);
+            });
+        }
+
+        if (isLast) {
+            return loading;
+        }
+
+        return loading.catch(function () {
+            return load(urls.slice(1), sampler, fallback);
+        });
+    }
+
+    /**
+     * Shares textures between objects, so that an image used by several objects (e.g. the default moon texture) is only downloaded and uploaded to the GPU once. Textures are reference counted, and deleted once no object is using them.
+     * @class TextureCache
+     */
+    return {
+
+        /**
+         * Gets the texture for an image, downloading and uploading it if nothing else is using it yet. Every call must be matched by a call to release() with the same arguments once the texture is no longer needed.
+         * @method acquire
+         * @param  {String|Object} url              URL of the image, or of a compressed texture, or a set of alternatives (see CompressedTexture.choose()).
+         * @param  {Object}        options          Optional settings.
+         * @param  {String}        options.fallback URL of an image to use if this one can't be downloaded (see AssetLoader).
+         * @param  {Object}        options.sampler  Sampler settings: magFilter, minFilter, wrapS and wrapT (WebGL constants, or their names), which default to LINEAR, LINEAR_MIPMAP_NEAREST and REPEAT; anisotropy (the maximum anisotropic filtering, if the device supports it), which defaults to 1; and npot, which says what to do with images whose sides aren't powers of two if the other settings need them to be - 'resize' (the default) or 'clamp'.
+         * @return {Promise}                        Resolves with the WebGL texture, or rejects if the image (and its fallback) couldn't be downloaded, or the context was lost while it was loading.
+         */
+        acquire: function (url, options) {
+            options = options || {};
+
+            var sampler = getSampler(options.sampler),
+                urls    = compressedTexture.choose(url),
+                key     = getKey(urls, sampler),
+                entry   = entries[key];
+
+            if (!entry) {
+                entry = entries[key] = {
+                    references: 0,
+                    texture:    null,
+                    generation: generation
+                };
+                entry.promise = load(urls, sampler, options.fallback).then(function (texture) {
+                    if (entry.generation !== generation) {
+                        throw new Error('The WebGL context was lost while the texture was loading');
+                    }
+                    entry.texture = texture;
+                    if (!entry.references) {
+                        // everything which wanted the texture was released while it was downloading
+                        gl.deleteTexture(entry.texture);
+                    }
+                    return entry.texture;
+                }, function (error) {
+                    // forget the failure, so that the next object to ask for the image tries again
+                    if (entries[key] === entry) {
+                        delete entries[key];
+                    }
+                    throw error;
+                });
+            }
+
+            entry.references++;
+            return entry.promise;
+        },
+
+        /**
+         * Gives up a reference to a texture, deleting it if nothing else is using it.
+         * @method release
+         * @param {String|Object} url     URL of the image, as passed to acquire().
+         * @param {Object}        options Options, as passed to acquire().
+         */
+        release: function (url, options) {
+            var key   = getKey(compressedTexture.choose(url), getSampler((options || {}).sampler)),
+                entry = entries[key];
+
+            if (!entry) {
+                return;
+            }
+
+            entry.references--;
+            if (entry.references <= 0) {
+                delete entries[key];
+                if (entry.texture) {
+                    gl.deleteTexture(entry.texture);
+                }
+            }
+        },
+
+        /**
+         * Uploads an image which isn't shared (e.g. a generated one) to a new texture. It belongs to the caller, and isn't reference counted.
+         * @method createTexture
+         * @param  {Object} image   The Image (or canvas) to upload.
+         * @param  {Object} sampler Sampler settings - see acquire().
+         * @return {Object}         A WebGL TEXTURE_2D object, or null if the context has been lost.
+         */
+        createTexture: createTexture
+    };
+});
\ No newline at end of file
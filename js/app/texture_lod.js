@@ -0,0 +1,70 @@
+/**
+ * @module TextureLod
+ */
+define(['camera'], function (camera) {
+
+    var hysteresis  = 0.75, // objects keep a tier until they have shrunk to this fraction of the size that triggered it, so that they don't flicker between tiers
+        maxUpgraded = 3;    // number of objects which can use higher resolution tiers at once
+
+    /**
+     * Picks the best texture tier for an object at the given size.
+     * @method chooseTier
+     * @param  {AstronomicalObject} object The object.
+     * @param  {float}              size   Diameter of the object on screen (in pixels).
+     * @return {int}                       Index of the tier in the object's textureTiers, or -1 for the ordinary texture.
+     */
+    function chooseTier(object, size) {
+        var tier = -1,
+            threshold;
+
+        for (var i = 0; i < object.textureTiers.length; i++) {
+            threshold = object.textureTiers[i].minSize;
+            if (i <= object.textureTier) {
+                threshold *= hysteresis;
+            }
+            if (size >= threshold) {
+                tier = i;
+            }
+        }
+
+        return tier;
+    }
+
+    /**
+     * Streams higher resolution textures in for objects as they grow on screen, and releases them as they shrink again. Only the few biggest objects on screen are upgraded, so that the amount of texture memory stays bounded however many objects have tiers.
+     *
+     * The tiers of each object are set by its `textureTiers` config - see AstronomicalObject.
+     *
+     * @class TextureLod
+     */
+    return {
+
+        /**
+         * Picks the texture tier of every object, based on how big it currently appears. Should be called before each frame is drawn.
+         * @method update
+         * @param {Array} objects The AstronomicalObjects in the scene.
+         */
+        update: function (objects) {
+            var candidates = [],
+                object;
+
+            for (var i = 0; i < objects.length; i++) {
+                object = objects[i];
+                if (object.textureTiers.length) {
+                    candidates.push({
+                        object: object,
+                        size:   object.hidden ? 0 : camera.getApparentSize(object.position, object.radius)
+                    });
+                }
+            }
+
+            candidates.sort(function (a, b) {
+                return b.size - a.size;
+            });
+
+            candidates.forEach(function (candidate, rank) {
+                candidate.object.setTextureTier(rank < maxUpgraded ? chooseTier(candidate.object, candidate.size) : -1);
+            });
+        }
+    };
+});
\ No newline at end of file
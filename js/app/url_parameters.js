@@ -0,0 +1,70 @@
+/**
+ * @module UrlParameters
+ */
+define(function () {
+
+    var parameters = parse(window.location.search);
+
+    /**
+     * Parses a query string into an object.
+     * @method parse
+     * @param  {String} queryString The query string, e.g. '?seed=42&date=2015-06-30'
+     * @return {Object}             Key/value pairs of the parameters.
+     */
+    function parse(queryString) {
+        var parsed = {},
+            pairs  = queryString.replace(/^\?/, '').split('&'),
+            pair;
+
+        for (var i = 0; i < pairs.length; i++) {
+            if (pairs[i]) {
+                pair = pairs[i].split('=');
+                parsed[decodeURIComponent(pair[0])] = decodeURIComponent(pair.slice(1).join('=') || '');
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Turns the parameters back into a query string.
+     * @method serialise
+     * @return {String} The query string, including the leading '?'.
+     */
+    function serialise() {
+        var pairs = [];
+        for (var name in parameters) {
+            pairs.push(encodeURIComponent(name) + '=' + encodeURIComponent(parameters[name]));
+        }
+        return '?' + pairs.join('&');
+    }
+
+    /**
+     * Reads and writes the parameters in the page URL, so that the state of the simulation can be shared as a link.
+     * @class UrlParameters
+     */
+    return {
+
+        /**
+         * @method get
+         * @param  {String} name Name of the parameter.
+         * @return {String}      Value of the parameter, or undefined if it isn't in the URL.
+         */
+        get: function (name) {
+            return parameters[name];
+        },
+
+        /**
+         * Sets a parameter in the URL, without reloading the page or adding to the browser history.
+         * @method set
+         * @param {String} name  Name of the parameter.
+         * @param {String} value Value of the parameter.
+         */
+        set: function (name, value) {
+            parameters[name] = value;
+            if (window.history && window.history.replaceState) {
+                window.history.replaceState(null, '', serialise() + window.location.hash);
+            }
+        }
+    };
+});
\ No newline at end of file
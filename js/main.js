@@ -7,9 +7,113 @@ var version = '0.0.1',
             'Mousetrap': '../lib/mousetrap',
             'text':      '../lib/text'
         },
+        shim: {
+            'glUtils':   { exports: 'WebGLUtils' }
+        },
         urlArgs:         'version=' + version
     };
 
-require(requireconfig, ['app'], function (app) {
-    app.init();
+require(requireconfig, ['url_parameters'], function (urlParameters) {
+    // the scene file is chosen by the `scene` URL parameter, e.g. ?scene=solar_system loads scenes/solar_system.json
+    var scene = urlParameters.get('scene');
+
+    /**
+     * Shows a message above the canvas, e.g. when the scene file asked for can't be loaded.
+     * @method showNotice
+     * @param {String} message Plain text.
+     */
+    function showNotice(message) {
+        var container = document.getElementById('canvas_solar_system__container'),
+            notice    = document.createElement('P');
+
+        notice.className   = 'webgl_solarsystem_notice';
+        notice.textContent = message;
+        container.parentNode.insertBefore(notice, container);
+    }
+
+    /**
+     * Points the `scene_file` module at the scene file in use, e.g. 'solar_system' for scenes/solar_system.json.
+     * @method useScene
+     */
+    function useScene() {
+        require.config({
+            paths: {
+                'scene_file': '../../scenes/' + scene
+            }
+        });
+    }
+
+    /**
+     * Checks the scene file, then builds the scene from it (see Scene) and starts the app. Any problem with the scene file, down to a body orbiting one which doesn't exist, is caught before anything else depends on it, so that it can still be swapped for the Solar System.
+     * @method loadScene
+     */
+    function loadScene() {
+        require(['text!scene_file.json'], function (json) {
+            try {
+                JSON.parse(json);
+            }
+            catch (error) {
+                fallBack('is not valid JSON (' + error.message + ')');
+                return;
+            }
+
+            require(['scene'], startApp, function (error) {
+                // errors from the modules the scene depends on are about the app, not the scene file
+                if (error.requireModules && error.requireModules.indexOf('scene') !== -1) {
+                    fallBack('could not be loaded (' + error.message + ')');
+                    return;
+                }
+                showStartupError(error);
+            });
+        }, function () {
+            fallBack('could not be downloaded');
+        });
+    }
+
+    /**
+     * Starts the app, once the scene has been built.
+     * @method startApp
+     */
+    function startApp() {
+        require(['app'], function (app) {
+            app.init();
+        }, showStartupError);
+    }
+
+    /**
+     * @method showStartupError
+     * @param {Error} error Why the app couldn't be started.
+     */
+    function showStartupError(error) {
+        if (error.requireModules && error.requireModules.indexOf('gl') !== -1) {
+            // WebGLUtils has already replaced the canvas with an explanation
+            return;
+        }
+        showNotice('The solar system could not be started: ' + error.message);
+    }
+
+    /**
+     * Shows the Solar System instead of a scene file which couldn't be loaded, with a notice saying why.
+     * @method fallBack
+     * @param {String} problem What went wrong with the scene file.
+     */
+    function fallBack(problem) {
+        if (scene === 'solar_system') {
+            showNotice('The scene file scenes/solar_system.json ' + problem + '.');
+            return;
+        }
+
+        showNotice('The scene file scenes/' + scene + '.json ' + problem + ', so the Solar System is being shown instead.');
+        requirejs.undef('scene');
+        requirejs.undef('text!scene_file.json');
+        scene = 'solar_system';
+        useScene();
+        loadScene();
+    }
+
+    if (!/^[\w-]+$/.test(scene || '')) {
+        scene = 'solar_system';
+    }
+    useScene();
+    loadScene();
 });
\ No newline at end of file